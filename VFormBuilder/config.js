@@ -17,43 +17,110 @@ import {
 } from 'element-plus'
 import { isString } from 'lodash-es'
 
-const formItemMap = new Map([
-  ['input', ElInput],
-  ['password', [ElInput, 'password']],
-  ['textarea', [ElInput, 'textarea']],
-  ['number', ElInputNumber],
-  ['time', ElTimePicker],
-  ['timeSelect', ElTimeSelect],
-  ['date', [ElDatePicker, 'date']],
-  ['daterange', [ElDatePicker, 'daterange']],
-  ['cascader', ElCascader],
-  ['datetime', [ElDatePicker, 'datetime']],
-  ['slider', ElSlider],
-  ['checkbox', ElCheckbox],
-  ['checkboxGroup', ElCheckboxGroup],
-  ['radio', ElRadio],
-  ['radioGroup', ElRadioGroup],
-  ['switch', ElSwitch],
-  ['treeSelect', ElTreeSelect],
-  ['select', ElSelect],
-])
-
-const haveFormItem = new Map([
-  ['select', ElOption],
-  ['radioGroup', ElRadio],
-  ['checkboxGroup', ElCheckbox],
-])
+/**
+ * 表单项类型定义
+ * @typedef {object} IFormItemType
+ * @description 通过 registerFormItemType 注册的表单项类型
+ * @property {import('vue').Component} component - 渲染的组件
+ * @property {string} [subType] - 传递给组件的 type 属性，如 ElInput 的 password、textarea
+ * @property {import('vue').Component} [optionComponent] - 选项组件，配置后会根据 optionConfig 渲染组件的默认插槽
+ * @property {('input'|'select'|false)} [placeholderKind] - 占位符类型，input 生成"请输入"，select 生成"请选择"，false 不生成占位符
+ * @property {object} [defaultProps] - 组件的默认属性，会被表单项上的属性覆盖
+ * @property {string} [modelProp] - 绑定值的属性名，默认为 modelValue
+ * @property {string} [modelEvent] - 更新绑定值的事件名，默认为 update:modelValue
+ */
 
-export const getFormItemComponent = (type) => {
+// 表单项类型的默认配置
+const defaultTypeConfig = {
+  placeholderKind: 'input',
+  defaultProps: {},
+  modelProp: 'modelValue',
+  modelEvent: 'update:modelValue',
+}
+
+const formItemTypes = new Map()
+
+/**
+ * 注册表单项类型
+ * @description 注册后即可在表单项中通过 type 使用，与内置类型一致地生成占位符和选项插槽，同名类型会被覆盖
+ * @param {string} name - 类型名称
+ * @param {IFormItemType} definition - 类型定义
+ */
+export const registerFormItemType = (name, definition) => {
+  if (!isString(name) || !name)
+    throw new Error('registerFormItemType: name must be a non-empty string')
+  if (!definition?.component)
+    throw new Error(`registerFormItemType: component of type "${name}" is required`)
+  formItemTypes.set(name, { ...defaultTypeConfig, ...definition })
+}
+
+// 注册内置表单项类型
+;[
+  ['input', { component: ElInput }],
+  ['password', { component: ElInput, subType: 'password' }],
+  ['textarea', { component: ElInput, subType: 'textarea' }],
+  ['number', { component: ElInputNumber }],
+  ['time', { component: ElTimePicker, placeholderKind: 'select' }],
+  ['timeSelect', { component: ElTimeSelect }],
+  ['date', { component: ElDatePicker, subType: 'date' }],
+  ['daterange', { component: ElDatePicker, subType: 'daterange' }],
+  ['cascader', { component: ElCascader }],
+  ['datetime', { component: ElDatePicker, subType: 'datetime' }],
+  ['slider', { component: ElSlider }],
+  ['checkbox', { component: ElCheckbox }],
+  ['checkboxGroup', { component: ElCheckboxGroup, optionComponent: ElCheckbox }],
+  ['radio', { component: ElRadio }],
+  ['radioGroup', { component: ElRadioGroup, optionComponent: ElRadio }],
+  ['switch', { component: ElSwitch }],
+  ['treeSelect', { component: ElTreeSelect, placeholderKind: 'select' }],
+  ['select', { component: ElSelect, optionComponent: ElOption, placeholderKind: 'select' }],
+].forEach(([name, definition]) => registerFormItemType(name, definition))
+
+/**
+ * 获取表单项类型定义
+ * @description type 为组件时直接作为组件使用，未注册的类型默认显示为 input 输入框
+ * @param {(string|import('vue').Component)} [type] - 表单项类型
+ * @returns {IFormItemType} 类型定义
+ */
+export const getFormItemType = (type) => {
   if (type && !isString(type))
-    return type
-  // @ts-expect-error
-  return (type && formItemMap.get(type)) || formItemMap.get('input')
+    return { ...defaultTypeConfig, component: type }
+  return (type && formItemTypes.get(type)) || formItemTypes.get('input')
+}
+
+/**
+ * 获取所有已注册的表单项类型名称，包含内置类型和通过 registerFormItemType 注册的类型
+ * @returns {Array<string>} 类型名称，按注册顺序排列
+ */
+export const getFormItemTypeNames = () => {
+  return [...formItemTypes.keys()]
+}
+
+export const getFormItemComponent = (type) => {
+  const { component, subType } = getFormItemType(type)
+  return subType ? [component, subType] : component
 }
 
 export const getItemOption = (type) => {
   if (type && !isString(type))
     return type
-    // @ts-expect-error
-  return (type && haveFormItem.get(type)) || haveFormItem.get('select')
+  return (type && formItemTypes.get(type)?.optionComponent) || ElOption
+}
+
+/**
+ * 判断表单项类型是否根据 optionConfig 渲染选项插槽
+ * @param {(string|import('vue').Component)} [type] - 表单项类型
+ * @returns {boolean} 是否存在选项组件
+ */
+export const hasOptionComponent = (type) => {
+  return isString(type) && !!formItemTypes.get(type)?.optionComponent
+}
+
+/**
+ * 获取表单项提示文本的前缀
+ * @param {(string|import('vue').Component)} [type] - 表单项类型
+ * @returns {string} 请选择 或 请输入
+ */
+export const getPlaceholderPrefix = (type) => {
+  return getFormItemType(type).placeholderKind === 'select' ? '请选择' : '请输入'
 }
@@ -0,0 +1,94 @@
+import dayjs from 'dayjs'
+import { isFunction, isPlainObject, omit } from 'lodash-es'
+import { hasOptionComponent } from './config.js'
+import { isEmptyValue, toArray } from './linkage.js'
+
+// 日期类表单项的默认展示格式
+const dateFormatMap = new Map([
+  ['date', 'YYYY-MM-DD'],
+  ['daterange', 'YYYY-MM-DD'],
+  ['datetime', 'YYYY-MM-DD HH:mm:ss'],
+  ['time', 'HH:mm:ss'],
+])
+
+// 格式化日期，无法解析时原样返回
+function formatDate(value, format) {
+  const date = dayjs(value)
+  return date.isValid() ? date.format(format) : String(value)
+}
+
+// 在树形选项中查找节点
+function findTreeNode(nodes, value, valueKey, childrenKey) {
+  for (const node of nodes || []) {
+    if (node[valueKey] === value)
+      return node
+    const child = findTreeNode(node[childrenKey], value, valueKey, childrenKey)
+    if (child)
+      return child
+  }
+  return null
+}
+
+// 将级联选择的值路径转换为文本，如：浙江省 / 杭州市 / 西湖区
+function formatCascaderPath(path, options, fieldProps) {
+  const { value: valueKey = 'value', label: labelKey = 'label', children: childrenKey = 'children' } = fieldProps
+  let nodes = options
+  return toArray(path).map((value) => {
+    const node = (nodes || []).find(option => option[valueKey] === value)
+    nodes = node?.[childrenKey]
+    return node ? node[labelKey] : value
+  }).join(' / ')
+}
+
+/**
+ * 将表单项的值格式化为展示文本
+ * @description 优先使用表单项的 formatter，其次根据类型解析选项 label、格式化日期、转换开关状态
+ * @param {object} item - 表单项
+ * @param {*} value - 表单项的值
+ * @param {object} context - 上下文
+ * @param {object} context.formData - 当前表单数据
+ * @param {Array} [context.options] - 表单项的选项数据
+ * @param {object} [context.props] - 已求值的表单项 props
+ * @param {string} [context.emptyText] - 空值时展示的文本
+ * @returns {*} 展示文本，formatter 可返回 VNode
+ */
+export function formatItemValue(item, value, { formData, options = [], props: itemProps = {}, emptyText = '-' }) {
+  if (isFunction(item.formatter))
+    return item.formatter(value, formData, item)
+  // 表单项上的 props 为未求值的配置，使用已求值的 itemProps
+  const props = { ...omit(item, 'props'), ...itemProps }
+
+  // 开关、单个复选框展示为是/否
+  if (item.type === 'switch' || item.type === 'checkbox') {
+    const { activeValue = true, activeText, inactiveText } = props
+    return value === activeValue ? (activeText || '是') : (inactiveText || '否')
+  }
+
+  if (isEmptyValue(value))
+    return emptyText
+
+  if (dateFormatMap.has(item.type)) {
+    const format = props.format || dateFormatMap.get(item.type)
+    return toArray(value).map(date => formatDate(date, format)).join(' 至 ')
+  }
+
+  if (item.type === 'cascader') {
+    const fieldProps = props.props || {}
+    const paths = fieldProps.multiple ? value : [value]
+    return paths.map(path => formatCascaderPath(path, options, fieldProps)).join('、')
+  }
+
+  if (item.type === 'treeSelect') {
+    const { value: valueKey = props.nodeKey || 'value', label: labelKey = 'label', children: childrenKey = 'children' } = props.props || {}
+    return toArray(value).map(val => findTreeNode(options, val, valueKey, childrenKey)?.[labelKey] ?? val).join('、')
+  }
+
+  if (hasOptionComponent(item.type) || item.optionConfig) {
+    const { keyField = 'key', labelField = 'value' } = item.optionConfig || {}
+    return toArray(value).map(val => options.find(option => option[keyField] === val)?.[labelField] ?? val).join('、')
+  }
+
+  if (Array.isArray(value))
+    return value.join('、')
+  return isPlainObject(value) ? JSON.stringify(value) : String(value)
+}
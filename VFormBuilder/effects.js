@@ -0,0 +1,91 @@
+import { get, isEqual, isFunction, set } from 'lodash-es'
+import { reactive, watch } from 'vue'
+import { flattenFormItems } from './groups.js'
+
+/**
+ * 字段联动上下文
+ * @typedef {object} IFieldEffectContext
+ * @property {object} formData - 当前表单数据
+ * @property {function(string, *):void} setField - 设置字段的值，字段为完整路径
+ * @property {function(string, object):void} setItemProps - 覆盖字段的组件属性，与已覆盖的属性合并，字段为完整路径
+ * @property {object} item - 表单项
+ * @property {string} path - 字段的完整路径，数组分组中如 lines.0.price
+ * @property {*} oldValue - 变化前的值
+ * @property {object} [row] - 数组分组中当前行的数据
+ * @property {number} [index] - 数组分组中当前行的索引
+ */
+
+/**
+ * 计算字段上下文
+ * @typedef {object} IComputedContext
+ * @property {object} item - 表单项
+ * @property {object} [row] - 数组分组中当前行的数据
+ * @property {number} [index] - 数组分组中当前行的索引
+ */
+
+// 收集所有计算字段当前应有的值，数组分组的子表单项按行计算
+function collectComputedValues(items, formData) {
+  return flattenFormItems(items).flatMap((item) => {
+    if (item.type === 'list') {
+      const rows = get(formData, item.field)
+      if (!Array.isArray(rows))
+        return []
+      return (item.children || [])
+        .filter(child => isFunction(child.computed))
+        .flatMap(child => rows.map((row, index) => [
+          `${item.field}.${index}.${child.field}`,
+          child.computed(formData, { item: child, row, index }),
+        ]))
+    }
+    return isFunction(item.computed) ? [[item.field, item.computed(formData, { item })]] : []
+  })
+}
+
+/**
+ * 字段联动的组合式函数
+ * @description 提供字段变化时的 onChange 回调、字段组件属性的覆盖，以及计算字段的自动求值
+ * @param {import('vue').Ref<object>} formData - 表单数据
+ * @param {object} options - 配置项
+ * @param {function():Array<object>} options.getItems - 获取表单项及分组节点的方法
+ * @returns {object} 联动操作方法
+ */
+export function useFieldEffects(formData, { getItems }) {
+  // 以字段完整路径为键的组件属性覆盖
+  const propsOverrides = reactive({})
+
+  const setField = (field, value) => {
+    set(formData.value, field, value)
+  }
+
+  const setItemProps = (field, props) => {
+    propsOverrides[field] = { ...propsOverrides[field], ...props }
+  }
+
+  const getItemPropsOverride = field => propsOverrides[field]
+
+  /**
+   * 用户修改字段后调用表单项的 onChange，通过 setField 设置的值不会再次触发 onChange
+   * @param {object} item - 表单项
+   * @param {*} value - 新的值
+   * @param {object} context - 字段路径、旧值及数组分组的行信息
+   */
+  const triggerChange = (item, value, context) => {
+    if (isFunction(item.onChange))
+      item.onChange(value, { formData: formData.value, setField, setItemProps, item, ...context })
+  }
+
+  // 计算字段依赖的字段变化时重新求值，值未变化时不写入，避免触发多余的更新
+  watch(() => collectComputedValues(getItems(), formData.value), (entries) => {
+    entries.forEach(([field, value]) => {
+      if (!isEqual(get(formData.value, field), value))
+        set(formData.value, field, value)
+    })
+  }, { immediate: true })
+
+  return {
+    setField,
+    setItemProps,
+    getItemPropsOverride,
+    triggerChange,
+  }
+}
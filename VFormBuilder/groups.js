@@ -0,0 +1,60 @@
+import { isItemHidden } from './linkage.js'
+
+/**
+ * 分组节点
+ * @typedef {object} IFormGroup
+ * @description 分组节点用于组织表单项布局，不绑定字段，所有分组共享同一个表单数据
+ * @property {('section'|'collapse'|'tabs'|'steps')} type - 分组类型：section 标题分区、collapse 折叠面板、tabs 标签页、steps 分步向导
+ * @property {string} [key] - 分组唯一标识，未传递时根据位置生成
+ * @property {string} [title] - 分组标题，section、collapse 使用
+ * @property {boolean} [collapsed] - collapse 初始是否收起
+ * @property {Array<(import('./index.vue').IFormItem|IFormGroup|IFormPane)>} children - 子节点，tabs、steps 的子节点为面板
+ * @property {object} [props] - 传递给 el-collapse、el-tabs、el-steps 的其他属性
+ * @property {boolean} [lazy] - 是否延迟到进入可视区域后再渲染，未传递时 section、collapse 使用组件的 lazyRender
+ * @property {(boolean|function(object, object):boolean)} [hidden] - 隐藏标识，与表单项一致
+ * @property {Array} [dependsOn] - 联动条件，与表单项一致
+ */
+
+/**
+ * 分组面板
+ * @typedef {object} IFormPane
+ * @description tabs 的标签页或 steps 的步骤
+ * @property {string} [key] - 面板唯一标识，未传递时根据位置生成
+ * @property {string} title - 标签页或步骤的标题
+ * @property {string} [description] - 步骤描述，steps 使用
+ * @property {Array<(import('./index.vue').IFormItem|IFormGroup)>} children - 面板内的表单项
+ */
+
+export const groupTypes = new Set(['section', 'collapse', 'tabs', 'steps'])
+
+/**
+ * 判断节点是否为容器（分组或面板），数组分组 list 的 children 为行模板，不视为容器
+ * @param {object} item - 表单项或分组节点
+ * @returns {boolean} 是否为容器
+ */
+export function isContainerItem(item) {
+  return item.type !== 'list' && (groupTypes.has(item.type) || Array.isArray(item.children))
+}
+
+/**
+ * 获取容器节点的唯一标识
+ * @param {object} item - 容器节点
+ * @param {string} parentKey - 上级容器的标识
+ * @param {number} index - 在上级中的位置
+ * @returns {string} 唯一标识
+ */
+export function getGroupKey(item, parentKey, index) {
+  return item.key ?? `${parentKey}-${index}`
+}
+
+/**
+ * 展开嵌套的分组，返回所有叶子表单项
+ * @param {Array<object>} items - 表单项及分组节点
+ * @param {object} [formData] - 传递时过滤掉隐藏的节点（隐藏分组下的表单项同样被过滤）
+ * @returns {Array<object>} 叶子表单项
+ */
+export function flattenFormItems(items, formData) {
+  return (items || [])
+    .filter(item => !formData || !isItemHidden(item, formData))
+    .flatMap(item => isContainerItem(item) ? flattenFormItems(item.children, formData) : [item])
+}
@@ -0,0 +1,75 @@
+import { get, isFunction, isNil, isString } from 'lodash-es'
+
+/**
+ * 依赖条件
+ * @typedef {object} IDependsOnCondition
+ * @description 声明式的联动条件，用于控制表单项的显示
+ * @property {string} field - 依赖的字段，支持 a.b、a[0].b 形式的路径
+ * @property {*} [value] - 依赖字段等于该值时满足条件
+ * @property {Array} [values] - 依赖字段的值在该数组中时满足条件
+ * @property {function(*, object):boolean} [validator] - 自定义判断函数 (value, formData) => boolean
+ */
+
+// 判断值是否为空：undefined、null、空字符串、空数组均视为空
+export function isEmptyValue(value) {
+  return isNil(value) || value === '' || (Array.isArray(value) && value.length === 0)
+}
+
+// 统一转换为数组，null、undefined 转换为空数组
+export function toArray(value) {
+  if (isNil(value))
+    return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * 解析表单项的动态属性
+ * @description 属性为函数时以当前表单数据求值，否则原样返回
+ * @param {*} value - 属性值或求值函数 (formData, item) => any
+ * @param {object} formData - 当前表单数据
+ * @param {object} item - 表单项
+ * @returns {*} 解析后的属性值
+ */
+export function resolveItemValue(value, formData, item) {
+  return isFunction(value) ? value(formData, item) : value
+}
+
+// 判断单个依赖条件是否满足，字符串条件表示依赖字段有值即可
+function matchCondition(condition, formData) {
+  if (isString(condition))
+    return !isEmptyValue(get(formData, condition))
+  const { field, value, values, validator } = condition
+  const fieldValue = get(formData, field)
+  if (isFunction(validator))
+    return validator(fieldValue, formData)
+  if (Array.isArray(values))
+    return values.includes(fieldValue)
+  if ('value' in condition)
+    return fieldValue === value
+  return !isEmptyValue(fieldValue)
+}
+
+/**
+ * 判断依赖条件是否全部满足
+ * @param {Array<string|IDependsOnCondition>} [dependsOn] - 依赖条件列表
+ * @param {object} formData - 当前表单数据
+ * @returns {boolean} 未声明依赖或全部满足时返回 true
+ */
+export function matchDependsOn(dependsOn, formData) {
+  if (!Array.isArray(dependsOn) || !dependsOn.length)
+    return true
+  return dependsOn.every(condition => matchCondition(condition, formData))
+}
+
+/**
+ * 判断表单项是否隐藏
+ * @description dependsOn 条件不满足或 hidden 求值为 true 时隐藏
+ * @param {object} item - 表单项
+ * @param {object} formData - 当前表单数据
+ * @returns {boolean} 是否隐藏
+ */
+export function isItemHidden(item, formData) {
+  if (!matchDependsOn(item.dependsOn, formData))
+    return true
+  return resolveItemValue(item.hidden, formData, item) === true
+}
@@ -0,0 +1,180 @@
+import { debounce, get, isEqual, isFunction, set } from 'lodash-es'
+import { computed, onBeforeUnmount, ref, shallowRef, watch } from 'vue'
+import { flattenFormItems } from './groups.js'
+import { isEmptyValue, resolveItemValue, toArray } from './linkage.js'
+
+/**
+ * 选项配置
+ * @typedef {object} IOptionConfig
+ * @description 下拉框、单选框组、复选框组、级联选择、树选择的选项来源
+ * @property {Array} [data] - 静态选项数据
+ * @property {function(object, {keyword?: string, formData: object}):Promise<*>} [loader] - 异步加载选项，返回数组或包含数组的响应
+ * @property {string} [path] - loader 响应中选项数组的路径，默认为 'data'，支持多级如 'data.list'
+ * @property {(object|function(object, object):object)} [params] - 传递给 loader 的参数，传递函数时以当前表单数据求值，变化后自动重新加载
+ * @property {boolean} [immediate] - 是否在初始化时立即加载，默认为 true
+ * @property {boolean} [remote] - 下拉框是否开启远程搜索，输入关键字后调用 loader
+ * @property {number} [debounce] - 远程搜索的防抖时间（毫秒），默认为 300
+ * @property {function(object, {params: object, formData: object}):Promise<Array>} [lazyLoad] - 级联选择、树选择的懒加载函数，接收当前节点，返回子节点数组
+ * @property {(string|Array<string>)} [parentField] - 上级字段（完整路径，数组分组中的子表单项为相对于行数据的路径），上级字段变化时重新加载，用户修改上级字段时清空当前字段，上级字段为空时不加载
+ */
+
+// 通过组件属性传递选项的表单项类型及对应的属性名
+const optionsPropMap = new Map([
+  ['cascader', 'options'],
+  ['treeSelect', 'data'],
+])
+
+// 从 loader 的响应中取出选项数组
+function resolveOptions(res, path = 'data') {
+  if (Array.isArray(res))
+    return res
+  const list = get(res, path)
+  return Array.isArray(list) ? list : []
+}
+
+// 解析上级字段的完整路径，数组分组中的子表单项相对于所在行
+function resolveParentPath(parentField, item, path) {
+  if (!path || path === item.field)
+    return parentField
+  return path.slice(0, -item.field.length) + parentField
+}
+
+/**
+ * 清空以指定字段为上级字段的表单项，并依次清空其下级字段
+ * @description 仅在用户修改字段时调用，代码中替换或恢复表单数据（回填、撤销、恢复草稿）时保留下级字段的值
+ * @param {Array<object>} items - 表单项及分组节点
+ * @param {object} formData - 表单数据
+ * @param {string} path - 用户修改的字段的完整路径
+ */
+export function resetDependentFields(items, formData, path) {
+  // 所有表单项及其完整路径，数组分组的子表单项按行展开
+  const entries = flattenFormItems(items).flatMap((item) => {
+    const rows = item.type === 'list' ? get(formData, item.field) : null
+    if (!Array.isArray(rows))
+      return [[item, item.field]]
+    return [
+      [item, item.field],
+      ...rows.flatMap((_, index) => (item.children || []).map(child => [child, `${item.field}.${index}.${child.field}`])),
+    ]
+  })
+  const resetPaths = new Set([path])
+  const reset = (changedPath) => {
+    entries.forEach(([item, field]) => {
+      const parentPaths = toArray(item.optionConfig?.parentField).map(parentField => resolveParentPath(parentField, item, field))
+      if (resetPaths.has(field) || !parentPaths.includes(changedPath))
+        return
+      resetPaths.add(field)
+      set(formData, field, undefined)
+      reset(field)
+    })
+  }
+  reset(path)
+}
+
+/**
+ * 表单项选项的组合式函数
+ * @description 处理静态选项、异步加载、远程搜索、懒加载及上下级联动
+ * @param {object} item - 表单项
+ * @param {import('vue').Ref<object>} formData - 表单数据
+ * @param {function():string} [getPath] - 获取绑定字段完整路径的方法，数组分组中的子表单项据此解析上级字段
+ * @returns {{
+ *   options: import('vue').ComputedRef<Array>,
+ *   loading: import('vue').Ref<boolean>,
+ *   load: (keyword?: string) => Promise<void>,
+ *   componentProps: import('vue').ComputedRef<object>
+ * }} 选项数据、加载状态以及需要合并到组件上的属性
+ */
+export function useItemOptions(item, formData, getPath = () => item.field) {
+  const config = item.optionConfig || {}
+  const parentFields = toArray(config.parentField)
+  const hasLoader = isFunction(config.loader)
+
+  const loadedOptions = shallowRef([])
+  const loading = ref(false)
+
+  const options = computed(() => hasLoader ? loadedOptions.value : (item.optionConfig?.data || []))
+  const params = computed(() => resolveItemValue(config.params, formData.value, item) || {})
+  const parentValues = computed(() => parentFields.map(field => get(formData.value, resolveParentPath(field, item, getPath()))))
+
+  // 并发控制：仅允许最后一次请求更新选项
+  let requestId = 0
+
+  const load = async (keyword) => {
+    if (!hasLoader)
+      return
+    const currentId = ++requestId
+    // 上级字段未选择时不加载
+    if (parentValues.value.some(isEmptyValue)) {
+      loadedOptions.value = []
+      loading.value = false
+      return
+    }
+    loading.value = true
+    try {
+      const res = await config.loader({ ...params.value }, { keyword, formData: formData.value })
+      if (currentId === requestId)
+        loadedOptions.value = resolveOptions(res, config.path)
+    }
+    catch (err) {
+      if (currentId === requestId) {
+        loadedOptions.value = []
+        console.error('VFormBuilder options error:', err)
+      }
+    }
+    finally {
+      if (currentId === requestId)
+        loading.value = false
+    }
+  }
+
+  // 参数或上级字段变化时重新加载，当前值由 resetDependentFields 在用户修改上级字段时清空
+  watch([params, parentValues], ([nextParams, nextParents], [prevParams, prevParents]) => {
+    if (!isEqual(nextParents, prevParents) || !isEqual(nextParams, prevParams))
+      load()
+  })
+
+  // 远程搜索，输入关键字后防抖加载
+  const remoteMethod = debounce(keyword => load(keyword), config.debounce ?? 300)
+  onBeforeUnmount(() => remoteMethod.cancel())
+
+  // 懒加载，将当前节点交给 lazyLoad 并回填子节点
+  const lazyLoad = async (node, resolve) => {
+    try {
+      const children = await config.lazyLoad(node, { params: { ...params.value }, formData: formData.value })
+      resolve(children || [])
+    }
+    catch (err) {
+      resolve([])
+      console.error('VFormBuilder lazyLoad error:', err)
+    }
+  }
+
+  const componentProps = computed(() => {
+    const result = {}
+    const optionsProp = optionsPropMap.get(item.type)
+    if (optionsProp && (hasLoader || 'data' in config))
+      result[optionsProp] = options.value
+    if (item.type === 'select' && hasLoader) {
+      result.loading = loading.value
+      if (config.remote)
+        Object.assign(result, { filterable: true, remote: true, remoteMethod })
+    }
+    if (isFunction(config.lazyLoad)) {
+      if (item.type === 'cascader')
+        result.props = { lazy: true, lazyLoad }
+      if (item.type === 'treeSelect')
+        Object.assign(result, { lazy: true, load: lazyLoad })
+    }
+    return result
+  })
+
+  if (config.immediate !== false)
+    load()
+
+  return {
+    options,
+    loading,
+    load,
+    componentProps,
+  }
+}
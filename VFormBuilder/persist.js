@@ -0,0 +1,212 @@
+import dayjs from 'dayjs'
+import { ElMessageBox } from 'element-plus'
+import { cloneDeep, get, isEqual, isString, set, unset } from 'lodash-es'
+import { onBeforeUnmount, onMounted, toRaw } from 'vue'
+import { assignModel } from './state.js'
+
+/**
+ * 草稿配置
+ * @typedef {object} IPersistConfig
+ * @property {string} key - 草稿的存储键，同一页面的不同表单需要使用不同的键
+ * @property {('local'|'indexedDB')} [storage] - 存储方式，默认为 local
+ * @property {number} [interval] - 自动保存的时间间隔（毫秒），默认为 5000
+ * @property {Array<string>} [exclude] - 不保存的字段，password 类型的表单项始终不保存
+ * @property {boolean} [confirm] - 恢复草稿前是否弹窗确认，默认为 true，为 false 时直接恢复
+ */
+
+const keyPrefix = 'v-form-builder-draft:'
+
+// localStorage 存储
+const localAdapter = {
+  get: async key => JSON.parse(localStorage.getItem(key) || 'null'),
+  set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+  remove: async key => localStorage.removeItem(key),
+}
+
+// IndexedDB 存储，所有草稿保存在同一个对象仓库中
+const dbName = 'v-form-builder'
+const storeName = 'drafts'
+let dbPromise = null
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+// 在对象仓库上执行一次请求
+async function runRequest(mode, createRequest) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(storeName, mode).objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+const indexedDBAdapter = {
+  get: async key => (await runRequest('readonly', store => store.get(key))) ?? null,
+  set: (key, value) => runRequest('readwrite', store => store.put(value, key)),
+  remove: key => runRequest('readwrite', store => store.delete(key)),
+}
+
+const adapterMap = new Map([
+  ['local', localAdapter],
+  ['indexedDB', indexedDBAdapter],
+])
+
+/**
+ * 表单草稿自动保存的组合式函数
+ * @description 定时保存表单数据，挂载时提示恢复草稿，提交成功后清除草稿
+ * @param {import('vue').Ref<object>} formData - 表单数据
+ * @param {object} options - 配置项
+ * @param {function():(IPersistConfig|null)} options.getConfig - 获取草稿配置的方法，返回 null 时不保存草稿
+ * @param {function():Array<string>} options.getExcludedFields - 获取始终不保存的字段的方法
+ * @param {function():boolean} options.isDirty - 表单是否已修改，未修改时不保存草稿
+ * @returns {{
+ *   saveDraft: () => Promise<void>,
+ *   restoreDraft: () => Promise<boolean>,
+ *   clearDraft: () => Promise<void>
+ * }} 草稿操作方法
+ */
+export function useFormPersist(formData, { getConfig, getExcludedFields, isDirty }) {
+  // 最近一次保存的数据，未变化时不重复保存
+  let lastSaved = null
+  let timer = null
+  // 等待恢复草稿期间组件可能已卸载，此时不再注册定时器和事件
+  let unmounted = false
+
+  const getContext = () => {
+    const config = getConfig()
+    if (!config?.key)
+      return null
+    return {
+      config,
+      storageKey: keyPrefix + config.key,
+      adapter: adapterMap.get(config.storage) || localAdapter,
+      excluded: [...(config.exclude || []), ...getExcludedFields()],
+    }
+  }
+
+  // 去除不保存字段后的表单数据副本
+  const getSnapshot = (context) => {
+    const data = cloneDeep(toRaw(formData.value))
+    context.excluded.forEach(field => unset(data, field))
+    return data
+  }
+
+  const saveDraft = async () => {
+    const context = getContext()
+    if (!context || !isDirty())
+      return
+    const data = getSnapshot(context)
+    if (isEqual(data, lastSaved))
+      return
+    lastSaved = data
+    try {
+      await context.adapter.set(context.storageKey, { data, savedAt: Date.now() })
+    }
+    catch (err) {
+      console.error('VFormBuilder persist error:', err)
+    }
+  }
+
+  const clearDraft = async () => {
+    const context = getContext()
+    if (!context)
+      return
+    // 记录当前数据，之后只有再次修改才会重新保存，避免定时或关闭页面时又把已提交的数据存为草稿
+    lastSaved = getSnapshot(context)
+    try {
+      await context.adapter.remove(context.storageKey)
+    }
+    catch (err) {
+      console.error('VFormBuilder persist error:', err)
+    }
+  }
+
+  /**
+   * 恢复草稿，不保存的字段保持当前值
+   * @returns {Promise<boolean>} 是否恢复了草稿
+   */
+  const restoreDraft = async () => {
+    const context = getContext()
+    if (!context)
+      return false
+    let draft = null
+    try {
+      draft = await context.adapter.get(context.storageKey)
+    }
+    catch (err) {
+      console.error('VFormBuilder persist error:', err)
+    }
+    if (!draft?.data)
+      return false
+    if (isEqual(getSnapshot(context), draft.data))
+      return false
+
+    if (context.config.confirm !== false) {
+      const confirmed = await ElMessageBox.confirm(
+        `检测到 ${dayjs(draft.savedAt).format('YYYY-MM-DD HH:mm:ss')} 保存的草稿，是否恢复？`,
+        '提示',
+        { confirmButtonText: '恢复', cancelButtonText: '放弃', type: 'info' },
+      ).then(() => true, () => false)
+      if (!confirmed) {
+        await clearDraft()
+        return false
+      }
+    }
+
+    const values = cloneDeep(draft.data)
+    context.excluded.forEach(field => set(values, field, get(formData.value, field)))
+    assignModel(formData, values)
+    lastSaved = draft.data
+    return true
+  }
+
+  // 页面关闭前保存一次
+  const handlePageHide = () => saveDraft()
+
+  onMounted(async () => {
+    const context = getContext()
+    if (!context)
+      return
+    await restoreDraft()
+    if (unmounted)
+      return
+    timer = setInterval(saveDraft, context.config.interval ?? 5000)
+    window.addEventListener('pagehide', handlePageHide)
+  })
+
+  onBeforeUnmount(() => {
+    unmounted = true
+    clearInterval(timer)
+    window.removeEventListener('pagehide', handlePageHide)
+  })
+
+  return {
+    saveDraft,
+    restoreDraft,
+    clearDraft,
+  }
+}
+
+/**
+ * 规范化草稿配置，字符串视为存储键
+ * @param {(string|IPersistConfig)} [persist] - 组件的 persist 属性
+ * @returns {(IPersistConfig|null)} 草稿配置
+ */
+export function normalizePersistConfig(persist) {
+  if (!persist)
+    return null
+  return isString(persist) ? { key: persist } : persist
+}
@@ -0,0 +1,26 @@
+import { registerFormItemType } from './config.js'
+import VFormBuilder from './index.vue'
+
+/**
+ * VFormBuilder 插件
+ * @description 全局注册 VFormBuilder 组件，并注册团队自定义的表单项类型
+ * @example
+ * app.use(VFormBuilderPlugin, {
+ *   types: {
+ *     upload: { component: FileUpload, placeholderKind: false, modelProp: 'fileList', modelEvent: 'update:fileList' },
+ *     userPicker: { component: UserPicker, placeholderKind: 'select', defaultProps: { multiple: true } },
+ *   },
+ * })
+ */
+export default {
+  /**
+   * @param {import('vue').App} app - 应用实例
+   * @param {object} [options] - 插件配置
+   * @param {string} [options.name] - 全局注册的组件名，默认为 VFormBuilder
+   * @param {Record<string, import('./config.js').IFormItemType>} [options.types] - 需要注册的表单项类型
+   */
+  install(app, { name = 'VFormBuilder', types = {} } = {}) {
+    Object.entries(types).forEach(([type, definition]) => registerFormItemType(type, definition))
+    app.component(name, VFormBuilder)
+  },
+}
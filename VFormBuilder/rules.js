@@ -0,0 +1,159 @@
+import { isNil, isPlainObject, isString } from 'lodash-es'
+import { getPlaceholderPrefix } from './config.js'
+import { isEmptyValue, resolveItemValue, toArray } from './linkage.js'
+
+/**
+ * 表单项校验规则
+ * @typedef {object} IItemRule
+ * @description 在 Element Plus 校验规则的基础上，支持通过 name 引用内置校验器
+ * @property {string} [name] - 内置校验器名称：phone、email、idCard、length、range
+ * @property {number} [min] - length、range 校验器的最小值
+ * @property {number} [max] - length、range 校验器的最大值
+ * @property {string} [message] - 自定义错误提示，未传递时使用内置提示
+ * @property {(string|Array<string>)} [trigger] - 触发方式
+ */
+
+const defaultTrigger = ['blur', 'change']
+
+// 身份证号校验码计算的加权因子与校验码表
+const idCardWeights = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2]
+const idCardCheckCodes = ['1', '0', 'X', '9', '8', '7', '6', '5', '4', '3', '2']
+
+// 校验身份证号：15 位旧号码仅校验格式，18 位号码额外校验末位校验码
+function isIdCard(value) {
+  const text = String(value).toUpperCase()
+  if (/^[1-9]\d{7}(?:0\d|1[0-2])(?:[0-2]\d|3[01])\d{3}$/.test(text))
+    return true
+  if (!/^[1-9]\d{5}(?:18|19|20)\d{2}(?:0\d|1[0-2])(?:[0-2]\d|3[01])\d{3}[\dX]$/.test(text))
+    return false
+  const sum = idCardWeights.reduce((prev, weight, index) => prev + weight * Number(text[index]), 0)
+  return idCardCheckCodes[sum % 11] === text[17]
+}
+
+// 生成区间描述文本，如：2 到 10、不少于 2、不超过 10
+function getRangeText(min, max, unit = '') {
+  if (!isNil(min) && !isNil(max))
+    return `${min} 到 ${max}${unit}之间`
+  return isNil(min) ? `不超过 ${max}${unit}` : `不少于 ${min}${unit}`
+}
+
+// 包装校验函数，空值交由 required 处理，非空时校验不通过返回对应提示
+function createValidator(test, message) {
+  return (rule, value, callback) => {
+    if (isEmptyValue(value) || test(value))
+      callback()
+    else
+      callback(new Error(message))
+  }
+}
+
+/**
+ * 内置校验器
+ * @description 每个校验器接收规则配置和表单项 label，返回 Element Plus 校验规则
+ */
+export const builtinValidators = {
+  phone: ({ message }, label) => ({
+    validator: createValidator(value => /^1[3-9]\d{9}$/.test(value), message || `请输入正确的${label || '手机号码'}`),
+  }),
+  email: ({ message }, label) => ({
+    validator: createValidator(value => /^[\w.%+-]+@[\w.-]+\.[a-z]{2,}$/i.test(value), message || `请输入正确的${label || '邮箱地址'}`),
+  }),
+  idCard: ({ message }, label) => ({
+    validator: createValidator(isIdCard, message || `请输入正确的${label || '身份证号码'}`),
+  }),
+  length: ({ min, max, message }, label) => ({
+    validator: createValidator(
+      (value) => {
+        const { length } = String(value)
+        return (isNil(min) || length >= min) && (isNil(max) || length <= max)
+      },
+      message || `${label}长度应在${getRangeText(min, max, ' 个字符')}`,
+    ),
+  }),
+  range: ({ min, max, message }, label) => ({
+    validator: createValidator(
+      (value) => {
+        const num = Number(value)
+        return !Number.isNaN(num) && (isNil(min) || num >= min) && (isNil(max) || num <= max)
+      },
+      message || `${label}应为数字且在${getRangeText(min, max)}`,
+    ),
+  }),
+}
+
+// 将单条规则转换为 Element Plus 校验规则，字符串视为内置校验器名称
+function normalizeRule(rule, label) {
+  const config = isString(rule) ? { name: rule } : rule
+  if (!isPlainObject(config) || !config.name)
+    return config
+  const { name, ...rest } = config
+  const creator = builtinValidators[name]
+  if (!creator) {
+    console.warn(`VFormBuilder: 未找到名称为 ${name} 的内置校验器`)
+    return null
+  }
+  return { trigger: defaultTrigger, ...creator(rest, label), ...(rest.trigger && { trigger: rest.trigger }) }
+}
+
+/**
+ * 生成表单项的校验规则
+ * @description 依次合并表单项 required、表单项 rules 与全局 rules 中该字段的规则
+ * @param {object} item - 表单项
+ * @param {object} formData - 当前表单数据
+ * @param {Array|object} [globalRules] - 全局 rules 中该字段的规则
+ * @returns {Array<object>} 校验规则数组
+ */
+export function getItemRules(item, formData, globalRules) {
+  const label = isString(item.label) ? item.label : ''
+  const required = resolveItemValue(item.required, formData, item)
+  const rules = [
+    ...toArray(item.rules).map(rule => normalizeRule(rule, label)),
+    ...toArray(globalRules),
+  ].filter(Boolean)
+  // 数组分组校验行数
+  if (item.type === 'list' && (!isNil(item.min) || !isNil(item.max))) {
+    const { min, max } = item
+    rules.push({
+      validator: (rule, value, callback) => {
+        const length = value?.length ?? 0
+        if ((isNil(min) || length >= min) && (isNil(max) || length <= max))
+          callback()
+        else
+          callback(new Error(`${label}行数应在${getRangeText(min, max, ' 行')}`))
+      },
+      trigger: 'change',
+    })
+  }
+  if (required === true && !rules.some(rule => rule.required)) {
+    rules.unshift({
+      required: true,
+      message: item.requiredMessage || `${getPlaceholderPrefix(item.type)}${label}`,
+      trigger: defaultTrigger,
+    })
+  }
+  // 显式配置为非必填时，覆盖已有规则中的 required，与 el-form-item 的 required 属性保持一致
+  if (required === false)
+    return rules.map(rule => ('required' in rule ? { ...rule, required: false } : rule))
+  return rules
+}
+
+/**
+ * 合并生成整个表单的校验规则
+ * @param {Array<object>} items - 参与校验的表单项（已过滤隐藏项）
+ * @param {object} formData - 当前表单数据
+ * @param {object} [globalRules] - 组件 rules 属性
+ * @returns {object} 以字段为键的校验规则
+ */
+export function buildFormRules(items, formData, globalRules = {}) {
+  return items.reduce(
+    (prev, item) => {
+      const rules = getItemRules(item, formData, globalRules[item.field])
+      if (rules.length)
+        prev[item.field] = rules
+      else
+        delete prev[item.field]
+      return prev
+    },
+    { ...globalRules },
+  )
+}
@@ -0,0 +1,306 @@
+import { isFunction, isNil, isPlainObject, isString, set } from 'lodash-es'
+import { flattenFormItems, isContainerItem } from './groups.js'
+import { buildFormRules } from './rules.js'
+
+/**
+ * JSON Schema 转换结果
+ * @typedef {object} ISchemaConvertResult
+ * @property {Array<object>} formItems - 表单项，嵌套对象转换为 section 分组，对象数组转换为 list 数组分组
+ * @property {object} rules - 与表单项等价的 el-form 校验规则，表单项已包含 required、rules，传递给 VFormBuilder 时无需重复传递
+ * @property {object} model - 由 default 生成的初始表单数据
+ */
+
+// 字符串格式与表单项类型的对应关系
+const formatTypeMap = new Map([
+  ['date', ['date', { valueFormat: 'YYYY-MM-DD' }]],
+  ['date-time', ['datetime', { valueFormat: 'YYYY-MM-DD HH:mm:ss' }]],
+  ['time', ['time', { valueFormat: 'HH:mm:ss' }]],
+  ['password', ['password', {}]],
+  ['textarea', ['textarea', {}]],
+])
+
+// 表单项类型与字符串格式的对应关系，用于导出
+const typeFormatMap = new Map([
+  ['date', 'date'],
+  ['datetime', 'date-time'],
+  ['time', 'time'],
+  ['password', 'password'],
+])
+
+// 根据 enum 生成选项，x-enumNames 提供选项文本
+function createEnumOptions(schema) {
+  const names = schema['x-enumNames'] || []
+  return schema.enum.map((value, index) => ({ value, label: names[index] ?? String(value) }))
+}
+
+// 生成选项配置
+function createOptionConfig(schema) {
+  return { data: createEnumOptions(schema), keyField: 'value', labelField: 'label' }
+}
+
+// 根据 min/max 类约束生成内置校验规则
+function createRangeRule(name, min, max) {
+  if (isNil(min) && isNil(max))
+    return null
+  return { name, ...(!isNil(min) && { min }), ...(!isNil(max) && { max }) }
+}
+
+// 将单个属性的 schema 转换为表单项的类型、属性和校验规则
+function resolveFieldConfig(schema) {
+  const rules = []
+  const props = {}
+  let type = 'input'
+  let extra = {}
+
+  if (schema.enum) {
+    type = 'select'
+    extra = { optionConfig: createOptionConfig(schema) }
+  }
+  else if (schema.type === 'boolean') {
+    type = 'switch'
+  }
+  else if (schema.type === 'number' || schema.type === 'integer') {
+    type = 'number'
+    Object.assign(props, {
+      ...(!isNil(schema.minimum) && { min: schema.minimum }),
+      ...(!isNil(schema.maximum) && { max: schema.maximum }),
+      ...(schema.type === 'integer' && { precision: 0 }),
+    })
+    rules.push(createRangeRule('range', schema.minimum, schema.maximum))
+  }
+  else if (schema.type === 'array') {
+    type = 'select'
+    props.multiple = true
+    if (schema.items?.enum)
+      extra = { optionConfig: createOptionConfig(schema.items) }
+    else
+      Object.assign(props, { filterable: true, allowCreate: true, defaultFirstOption: true })
+  }
+  else {
+    if (formatTypeMap.has(schema.format)) {
+      const [formatType, formatProps] = formatTypeMap.get(schema.format)
+      type = formatType
+      Object.assign(props, formatProps)
+    }
+    if (schema.format === 'email')
+      rules.push('email')
+    rules.push(createRangeRule('length', schema.minLength, schema.maxLength))
+    if (schema.pattern)
+      rules.push({ pattern: new RegExp(schema.pattern), message: schema['x-patternMessage'] || `${schema.title || ''}格式不正确`, trigger: 'blur' })
+  }
+
+  return {
+    type: schema['x-component'] || type,
+    props: { ...props, ...schema['x-props'] },
+    rules: [...rules.filter(Boolean), ...(schema['x-rules'] || [])],
+    ...extra,
+  }
+}
+
+// 将对象 schema 的属性转换为表单项，prefix 为上级字段路径
+function propertiesToItems(schema, prefix, model, options) {
+  const requiredFields = new Set(schema.required || [])
+  return Object.entries(schema.properties || {}).map(([key, propSchema]) => {
+    const field = prefix ? `${prefix}.${key}` : key
+    const label = propSchema.title || key
+
+    if (propSchema.type === 'object' && propSchema.properties) {
+      return {
+        type: 'section',
+        key: field,
+        title: label,
+        children: propertiesToItems(propSchema, field, model, options),
+      }
+    }
+
+    if (!isNil(propSchema.default))
+      set(model, field, propSchema.default)
+
+    const item = {
+      field,
+      label,
+      span: propSchema['x-span'] ?? options.span,
+      required: requiredFields.has(key) || undefined,
+    }
+
+    // 对象数组转换为数组分组，子表单项的字段相对于行数据，items 中的 default 作为新增行的默认数据
+    if (propSchema.type === 'array' && propSchema.items?.type === 'object') {
+      const defaultRow = {}
+      const children = propertiesToItems(propSchema.items, '', defaultRow, options)
+      return {
+        ...item,
+        type: 'list',
+        min: propSchema.minItems,
+        max: propSchema.maxItems,
+        children,
+        ...(Object.keys(defaultRow).length && { defaultRow }),
+      }
+    }
+
+    const { type, props, rules, ...extra } = resolveFieldConfig({ ...propSchema, title: label })
+    return {
+      ...item,
+      type,
+      ...extra,
+      ...(Object.keys(props).length && { props }),
+      ...(rules.length && { rules }),
+      ...(propSchema.description && { placeholder: propSchema.description }),
+    }
+  })
+}
+
+/**
+ * 将 JSON Schema 转换为表单项
+ * @description 支持 type、enum、format、required、minimum/maximum、minLength/maxLength、pattern、default、嵌套对象及数组，
+ * 以及 x-component（表单项类型）、x-props（表单项属性）、x-span（栅格数）、x-enumNames（选项文本）、x-rules（内置校验规则名称）扩展字段
+ * @param {object} schema - 对象类型的 JSON Schema
+ * @param {object} [options] - 转换配置
+ * @param {number} [options.span] - 表单项的默认栅格数
+ * @returns {ISchemaConvertResult} 表单项、校验规则及初始表单数据
+ */
+export function schemaToFormItems(schema, options = {}) {
+  const model = {}
+  const formItems = propertiesToItems(schema, '', model, options)
+  const rules = buildFormRules(flattenFormItems(formItems), model)
+  return { formItems, rules, model }
+}
+
+// 从表单项的校验规则中提取 JSON Schema 约束
+function rulesToConstraints(item, schema) {
+  const rules = Array.isArray(item.rules) ? item.rules : [item.rules].filter(Boolean)
+  rules.forEach((rule) => {
+    const config = isString(rule) ? { name: rule } : rule
+    if (config.name === 'email')
+      schema.format = 'email'
+    if (config.name === 'length') {
+      if (!isNil(config.min))
+        schema.minLength = config.min
+      if (!isNil(config.max))
+        schema.maxLength = config.max
+    }
+    if (config.name === 'range') {
+      if (!isNil(config.min))
+        schema.minimum = config.min
+      if (!isNil(config.max))
+        schema.maximum = config.max
+    }
+    if (config.pattern instanceof RegExp)
+      schema.pattern = config.pattern.source
+    if (config.name && !['email', 'length', 'range'].includes(config.name))
+      schema['x-rules'] = [...(schema['x-rules'] || []), config.name]
+  })
+}
+
+// 生成选项的 enum 及 x-enumNames
+function optionsToEnum(optionConfig) {
+  const { data = [], keyField = 'key', labelField = 'value' } = optionConfig || {}
+  if (!data.length)
+    return {}
+  return {
+    'enum': data.map(option => option[keyField]),
+    'x-enumNames': data.map(option => option[labelField]),
+  }
+}
+
+// 过滤掉无法序列化的属性
+function serializableProps(props) {
+  if (!isPlainObject(props))
+    return null
+  const result = Object.fromEntries(Object.entries(props).filter(([, value]) => !isFunction(value)))
+  return Object.keys(result).length ? result : null
+}
+
+// 将单个表单项转换为属性 schema
+function itemToSchema(item) {
+  const props = isPlainObject(item.props) ? item.props : {}
+  const schema = { title: isString(item.label) ? item.label : undefined }
+  const type = isString(item.type) ? item.type : 'input'
+
+  if (type === 'list') {
+    Object.assign(schema, {
+      type: 'array',
+      items: itemsToSchema(item.children || []),
+      ...(!isNil(item.min) && { minItems: item.min }),
+      ...(!isNil(item.max) && { maxItems: item.max }),
+    })
+  }
+  else if (type === 'switch' || type === 'checkbox') {
+    schema.type = 'boolean'
+  }
+  else if (type === 'number' || type === 'slider') {
+    schema.type = props.precision === 0 ? 'integer' : 'number'
+    if (!isNil(props.min))
+      schema.minimum = props.min
+    if (!isNil(props.max))
+      schema.maximum = props.max
+  }
+  else if (type === 'daterange') {
+    Object.assign(schema, { type: 'array', items: { type: 'string', format: 'date' }, minItems: 2, maxItems: 2 })
+  }
+  else if (type === 'checkboxGroup' || type === 'cascader' || props.multiple) {
+    const enums = optionsToEnum(item.optionConfig)
+    Object.assign(schema, { type: 'array', items: { type: 'string', ...enums } })
+  }
+  else {
+    Object.assign(schema, { type: 'string', ...optionsToEnum(item.optionConfig) })
+    if (typeFormatMap.has(type))
+      schema.format = typeFormatMap.get(type)
+  }
+
+  rulesToConstraints(item, schema)
+  if (!['input', 'number', 'switch', 'list', 'daterange', 'select', 'date', 'datetime', 'time', 'password'].includes(type))
+    schema['x-component'] = type
+  if (item.span)
+    schema['x-span'] = item.span
+  const xProps = serializableProps(props)
+  if (xProps)
+    schema['x-props'] = xProps
+  if (isString(item.placeholder))
+    schema.description = item.placeholder
+  return JSON.parse(JSON.stringify(schema))
+}
+
+// 收集以字段路径作为 key 的 section 标题，导出嵌套对象时作为 title
+function collectSectionTitles(items, titles = new Map()) {
+  (items || []).filter(isContainerItem).forEach((item) => {
+    if (item.type === 'section' && item.key && item.title)
+      titles.set(item.key, item.title)
+    collectSectionTitles(item.children, titles)
+  })
+  return titles
+}
+
+// 将表单项转换为对象 schema，字段路径中的层级转换为嵌套对象
+function itemsToSchema(items) {
+  const root = { type: 'object', properties: {} }
+  const titles = collectSectionTitles(items)
+  flattenFormItems(items).forEach((item) => {
+    const keys = item.field.replace(/\[(\w+)\]/g, '.$1').split('.')
+    const key = keys.pop()
+    const parent = keys.reduce((node, name, index) => {
+      const title = titles.get(keys.slice(0, index + 1).join('.'))
+      node.properties[name] ??= { ...(title && { title }), type: 'object', properties: {} }
+      return node.properties[name]
+    }, root)
+    parent.properties[key] = itemToSchema(item)
+    if (item.required === true)
+      parent.required = [...(parent.required || []), key]
+  })
+  return root
+}
+
+/**
+ * 将表单项转换为 JSON Schema
+ * @description 分组仅用于布局，导出时会被展开；函数类型的属性（动态 hidden、loader 等）无法序列化，导出时会被忽略
+ * @param {Array<object>} formItems - 表单项
+ * @param {object} [options] - 转换配置
+ * @param {string} [options.title] - schema 的标题
+ * @returns {object} 对象类型的 JSON Schema
+ */
+export function formItemsToSchema(formItems, options = {}) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    ...(options.title && { title: options.title }),
+    ...itemsToSchema(formItems),
+  }
+}
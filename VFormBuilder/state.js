@@ -0,0 +1,175 @@
+import { cloneDeep, debounce, get, isEqual } from 'lodash-es'
+import { computed, nextTick, onMounted, reactive, ref, shallowRef, toRaw, watch } from 'vue'
+
+/**
+ * 字段变更信息
+ * @typedef {object} IChangedField
+ * @property {string} field - 字段路径
+ * @property {string} [label] - 表单项 label
+ * @property {*} oldValue - 初始值
+ * @property {*} newValue - 当前值
+ */
+
+// 获取表单数据的深拷贝快照
+function snapshot(formData) {
+  return cloneDeep(toRaw(formData.value))
+}
+
+/**
+ * 原地替换表单数据，保持对象引用不变
+ * @param {import('vue').Ref<object>} formData - 表单数据
+ * @param {object} values - 新的表单数据
+ */
+export function assignModel(formData, values) {
+  Object.keys(formData.value).forEach((key) => {
+    delete formData.value[key]
+  })
+  Object.assign(formData.value, cloneDeep(values))
+}
+
+/**
+ * 表单状态跟踪的组合式函数
+ * @description 维护初始快照、字段的 touched/dirty 状态以及撤销/重做历史
+ * @param {import('vue').Ref<object>} formData - 表单数据
+ * @param {object} options - 配置项
+ * @param {function():Array<object>} options.getFields - 获取所有叶子表单项的方法
+ * @param {number} [options.historyLimit] - 历史记录的最大条数，默认为 50
+ * @param {number} [options.historyDelay] - 合并连续编辑的时间间隔（毫秒），默认为 300
+ * @returns {object} 表单状态及操作方法
+ */
+export function useFormState(formData, { getFields, historyLimit = 50, historyDelay = 300 }) {
+  const initialValues = shallowRef(snapshot(formData))
+  const touchedFields = reactive(new Set())
+
+  // 撤销/重做历史，cursor 指向当前状态
+  const history = shallowRef([initialValues.value])
+  const cursor = ref(0)
+  // 应用历史记录时不再记录新的历史
+  let applying = false
+
+  const isDirty = computed(() => !isEqual(formData.value, initialValues.value))
+
+  const isFieldDirty = field => !isEqual(get(formData.value, field), get(initialValues.value, field))
+  const isFieldTouched = field => touchedFields.has(field)
+
+  // 各字段的 touched、dirty 状态，以字段路径为键
+  const fieldStates = computed(() => {
+    return getFields().reduce((prev, { field }) => {
+      prev[field] = { touched: isFieldTouched(field), dirty: isFieldDirty(field) }
+      return prev
+    }, {})
+  })
+
+  // 用户编辑字段时标记为 touched
+  const markTouched = (field) => {
+    touchedFields.add(field)
+  }
+
+  /**
+   * 获取相对初始快照发生变化的字段
+   * @returns {Array<IChangedField>} 变化的字段
+   */
+  const getChangedFields = () => {
+    return getFields()
+      .filter(({ field }) => isFieldDirty(field))
+      .map(({ field, label }) => ({
+        field,
+        label,
+        oldValue: cloneDeep(get(initialValues.value, field)),
+        newValue: cloneDeep(toRaw(get(formData.value, field))),
+      }))
+  }
+
+  // 以当前数据作为新的历史记录，撤销后再编辑会丢弃后面的记录
+  const record = debounce(() => {
+    const current = snapshot(formData)
+    if (isEqual(current, history.value[cursor.value]))
+      return
+    const next = [...history.value.slice(0, cursor.value + 1), current].slice(-historyLimit)
+    history.value = next
+    cursor.value = next.length - 1
+  }, historyDelay)
+
+  const resetHistory = () => {
+    record.cancel()
+    history.value = [snapshot(formData)]
+    cursor.value = 0
+  }
+
+  watch(formData, () => {
+    if (!applying)
+      record()
+  }, { deep: true })
+
+  const applyValues = (values) => {
+    applying = true
+    assignModel(formData, values)
+    nextTick(() => {
+      applying = false
+    })
+  }
+
+  // 挂载后重新获取初始快照，包含子表单项初始化时写入的默认值（如数组分组补齐的行）
+  onMounted(() => {
+    initialValues.value = snapshot(formData)
+    resetHistory()
+  })
+
+  const canUndo = computed(() => cursor.value > 0)
+  const canRedo = computed(() => cursor.value < history.value.length - 1)
+
+  // 撤销，先将尚未记录的编辑写入历史
+  const undo = () => {
+    record.flush()
+    if (!canUndo.value)
+      return
+    cursor.value--
+    applyValues(history.value[cursor.value])
+  }
+
+  const redo = () => {
+    record.flush()
+    if (!canRedo.value)
+      return
+    cursor.value++
+    applyValues(history.value[cursor.value])
+  }
+
+  // 恢复为初始快照，同时清空 touched 状态和历史记录
+  const resetToInitial = () => {
+    applyValues(initialValues.value)
+    touchedFields.clear()
+    resetHistory()
+  }
+
+  /**
+   * 设置初始快照
+   * @param {object} [values] - 新的初始数据，传递时会同时替换表单数据，未传递时以当前数据作为初始快照
+   * @returns {Promise<void>} 传递新数据时，等待子表单项响应数据变化后再获取快照
+   */
+  const setInitialValues = async (values) => {
+    if (values) {
+      applyValues(values)
+      await nextTick()
+    }
+    initialValues.value = snapshot(formData)
+    touchedFields.clear()
+    resetHistory()
+  }
+
+  return {
+    initialValues,
+    isDirty,
+    fieldStates,
+    isFieldDirty,
+    isFieldTouched,
+    markTouched,
+    getChangedFields,
+    resetToInitial,
+    setInitialValues,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  }
+}
@@ -0,0 +1,151 @@
+import { cloneDeep, get, isFunction, isNil, isPlainObject, isString, set, unset } from 'lodash-es'
+import { flattenFormItems } from './groups.js'
+import { isEmptyValue } from './linkage.js'
+
+/**
+ * 值转换函数
+ * @typedef {function(*, ITransformContext):*} ITransformFunction
+ * @description 接收字段当前值，返回转换后写入该字段的值
+ */
+
+/**
+ * 值转换上下文
+ * @typedef {object} ITransformContext
+ * @property {object} data - 正在转换的整份数据（数组分组内为当前行），可读取其他字段
+ * @property {object} item - 表单项
+ */
+
+/**
+ * 内置转换器配置
+ * @typedef {object} ITransformConfig
+ * @property {string} name - 内置转换器名称：splitRange、joinArray、toNumber、trim
+ * @property {Array<string>} [fields] - splitRange 拆分到的两个字段，如 ['startTime', 'endTime']
+ * @property {string} [separator] - joinArray 的分隔符，默认为 ,
+ */
+
+// 字段值的读写：data 为整份数据，field 为字段路径
+const transformValue = (fn, data, field) => set(data, field, fn(get(data, field)))
+
+/**
+ * 内置转换器
+ * @description 每个转换器接收配置，返回 in（回填数据 → 表单数据）、out（表单数据 → 提交数据）两个方向的转换，
+ * 转换函数直接修改整份数据，因此可以在多个字段之间拆分或合并
+ */
+export const builtinTransformers = {
+  // 日期范围等区间数组与两个字段互相转换，如 [start, end] ⇄ startTime、endTime
+  splitRange: ({ fields = [] }) => {
+    const [startField, endField] = fields
+    return {
+      in: (data, field) => {
+        const start = get(data, startField)
+        const end = get(data, endField)
+        if (!isEmptyValue(start) || !isEmptyValue(end))
+          set(data, field, [start, end])
+        unset(data, startField)
+        unset(data, endField)
+      },
+      out: (data, field) => {
+        const [start, end] = get(data, field) || []
+        set(data, startField, start)
+        set(data, endField, end)
+        unset(data, field)
+      },
+    }
+  },
+  // 数组与分隔符拼接的字符串互相转换，如 [1, 2] ⇄ '1,2'
+  joinArray: ({ separator = ',' }) => ({
+    in: (data, field) => transformValue(value => (isString(value) ? value.split(separator).filter(Boolean) : value), data, field),
+    out: (data, field) => transformValue(value => (Array.isArray(value) ? value.join(separator) : value), data, field),
+  }),
+  // 数字字符串转换为数字，无法转换时保持原值
+  toNumber: () => {
+    const toNumber = (value) => {
+      if (isEmptyValue(value) || Array.isArray(value))
+        return value
+      const num = Number(value)
+      return Number.isNaN(num) ? value : num
+    }
+    return {
+      in: (data, field) => transformValue(toNumber, data, field),
+      out: (data, field) => transformValue(toNumber, data, field),
+    }
+  },
+  // 提交时去除字符串首尾空格
+  trim: () => ({
+    out: (data, field) => transformValue(value => (isString(value) ? value.trim() : value), data, field),
+  }),
+}
+
+// 获取内置转换器指定方向的转换，字符串视为内置转换器名称
+function resolveBuiltin(config, direction) {
+  const { name, ...rest } = isString(config) ? { name: config } : config
+  const creator = builtinTransformers[name]
+  if (!creator) {
+    console.warn(`VFormBuilder: 未找到名称为 ${name} 的内置转换器`)
+    return null
+  }
+  return creator(rest)[direction] || null
+}
+
+// 获取表单项指定方向的转换，transformIn/transformOut 优先于 transform
+function getItemTransform(item, direction) {
+  const transform = direction === 'in' ? item.transformIn : item.transformOut
+  if (isFunction(transform))
+    return (data, field) => transformValue(value => transform(value, { data, item }), data, field)
+  if (isString(transform) || isPlainObject(transform))
+    return resolveBuiltin(transform, direction)
+  if (isString(item.transform) || isPlainObject(item.transform))
+    return resolveBuiltin(item.transform, direction)
+  return null
+}
+
+// 数组分组的行数据，非数组时视为没有行
+const toRows = value => (Array.isArray(value) ? value.filter(isPlainObject) : [])
+
+// 按表单项依次转换数据，数组分组对每一行应用子表单项的转换
+function applyTransforms(items, data, direction) {
+  flattenFormItems(items).forEach((item) => {
+    if (!item.field)
+      return
+    const transform = getItemTransform(item, direction)
+    // 回填时先转换数组分组本身再转换行，提交时顺序相反
+    if (direction === 'in')
+      transform?.(data, item.field)
+    if (item.type === 'list')
+      toRows(get(data, item.field)).forEach(row => applyTransforms(item.children, row, direction))
+    if (direction === 'out')
+      transform?.(data, item.field)
+  })
+  return data
+}
+
+/**
+ * 将回填数据转换为表单数据，如将 startTime、endTime 合并为日期范围
+ * @param {Array<object>} items - 表单项及分组节点
+ * @param {object} data - 回填数据
+ * @returns {object} 转换后的表单数据，不修改原数据
+ */
+export function transformValuesIn(items, data) {
+  return applyTransforms(items, cloneDeep(data), 'in')
+}
+
+/**
+ * 将表单数据转换为提交数据，如将日期范围拆分为 startTime、endTime
+ * @param {Array<object>} items - 表单项及分组节点
+ * @param {object} data - 表单数据
+ * @returns {object} 转换后的提交数据，不修改原数据
+ */
+export function transformValuesOut(items, data) {
+  return applyTransforms(items, cloneDeep(data), 'out')
+}
+
+/**
+ * 判断表单项中是否配置了值转换
+ * @param {Array<object>} items - 表单项及分组节点
+ * @returns {boolean} 是否存在值转换
+ */
+export function hasTransforms(items) {
+  return flattenFormItems(items).some(item =>
+    !isNil(item.transform) || !isNil(item.transformIn) || !isNil(item.transformOut)
+    || (item.type === 'list' && hasTransforms(item.children)))
+}
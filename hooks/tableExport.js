@@ -0,0 +1,287 @@
+import { get, isNil } from 'lodash-es'
+
+/**
+ * 导出列配置
+ * @typedef {object} ExportColumn
+ * @property {string} prop - 字段路径，与 el-table-column 的 prop 一致
+ * @property {string} label - 表头文本
+ * @property {Function} [formatter] - 格式化函数 (row, column, cellValue, index) => string，与 el-table-column 的 formatter 一致
+ * @property {Array<object>} [dict] - 字典数据，项为 { label, value } 或若依的 { dictLabel, dictValue }，值为数组或逗号分隔时逐个转换
+ * @property {number} [width] - Excel 中的列宽（字符数），默认根据内容计算
+ */
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+// 字典值转换为标签，找不到时保留原值
+function getDictLabel(dict, value) {
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return values
+    .map((item) => {
+      const option = dict.find(option => String(option.value ?? option.dictValue) === String(item))
+      return option ? (option.label ?? option.dictLabel) : item
+    })
+    .join(',')
+}
+
+// 获取单元格的值：优先使用 formatter，其次字典标签；未格式化的数字保留为数字，便于在 Excel 中计算
+function getCellValue(column, row, index) {
+  const cellValue = get(row, column.prop)
+  if (typeof column.formatter === 'function')
+    return column.formatter(row, column, cellValue, index) ?? ''
+  if (isNil(cellValue) || cellValue === '')
+    return ''
+  if (Array.isArray(column.dict))
+    return getDictLabel(column.dict, cellValue)
+  if (typeof cellValue === 'number')
+    return cellValue
+  return Array.isArray(cellValue) ? cellValue.join(',') : String(cellValue)
+}
+
+/**
+ * 将行数据按列配置转换为二维数组，第一行为表头
+ * @param {Array<ExportColumn>} columns - 导出列配置
+ * @param {Array<object>} rows - 行数据
+ * @returns {Array<Array<(string|number)>>} 表格内容
+ */
+export function formatExportRows(columns, rows) {
+  return [
+    columns.map(column => column.label ?? column.prop),
+    ...rows.map((row, index) => columns.map(column => getCellValue(column, row, index))),
+  ]
+}
+
+// CSV 中以 = + - @ 制表符或回车开头的文本在 Excel 中会被当作公式执行，添加 ' 前缀作为普通文本；
+// 带符号的数字（如 -12.5、+8613800000000）和单独的 - + 占位符保持不变。xlsx 中的文本为内联字符串，不会被当作公式
+function escapeFormula(text) {
+  if (!/^[=+\-@\t\r]/.test(text) || /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/.test(text) || text === '-' || text === '+')
+    return text
+  return `'${text}`
+}
+
+/**
+ * 生成 CSV 文件内容
+ * @description 添加 UTF-8 BOM，避免 Excel 打开时中文乱码；公式形式的文本添加 ' 前缀，避免被 Excel 执行
+ * @param {Array<Array<(string|number)>>} table - 表格内容
+ * @returns {string} CSV 文本
+ */
+export function createCSV(table) {
+  const escapeCell = (value) => {
+    const text = typeof value === 'number' ? String(value) : escapeFormula(String(value))
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  return `\uFEFF${table.map(row => row.map(escapeCell).join(',')).join('\r\n')}`
+}
+
+// 转义 XML 文本，并移除 XML 中不允许出现的控制字符
+const escapeXML = value => String(value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\v\f\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// 列序号转换为 Excel 列名，如 0 → A、26 → AA
+function getColumnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26))
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  return name
+}
+
+// 估算列宽，中文等全角字符按两个字符计算；逐行比较，避免数据量大时展开参数导致栈溢出，达到最大列宽后不再计算
+function getColumnWidth(table, index) {
+  const maxWidth = 60
+  let length = 0
+  for (const row of table) {
+    const text = String(row[index] ?? '')
+    let textLength = 0
+    for (const char of text)
+      textLength += char.charCodeAt(0) > 255 ? 2 : 1
+    length = Math.max(length, textLength)
+    if (length + 2 >= maxWidth)
+      break
+  }
+  return Math.min(Math.max(length + 2, 8), maxWidth)
+}
+
+// 生成工作表 XML，字符串使用内联字符串，表头使用加粗样式
+function createSheetXML(table, columns) {
+  const cols = table[0].map((_, index) =>
+    `<col min="${index + 1}" max="${index + 1}" width="${columns[index]?.width ?? getColumnWidth(table, index)}" customWidth="1"/>`).join('')
+  const rows = table.map((row, rowIndex) => {
+    const cells = row.map((value, colIndex) => {
+      const ref = `${getColumnName(colIndex)}${rowIndex + 1}`
+      const style = rowIndex === 0 ? ' s="1"' : ''
+      if (typeof value === 'number' && Number.isFinite(value))
+        return `<c r="${ref}"${style}><v>${value}</v></c>`
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`
+    }).join('')
+    return `<row r="${rowIndex + 1}">${cells}</row>`
+  }).join('')
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${cols}</cols><sheetData>${rows}</sheetData></worksheet>`
+}
+
+// CRC32 校验表
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let crc = n
+  for (let k = 0; k < 8; k++)
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1
+  return crc >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF
+  for (const byte of bytes)
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// 以不压缩（STORE）的方式打包 zip，xlsx 文件即为 zip 包
+function createZip(files) {
+  const encoder = new TextEncoder()
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name)
+    const data = encoder.encode(content)
+    const crc = crc32(data)
+    // 本地文件头
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true)
+    local.setUint16(4, 20, true) // 解压所需版本
+    local.setUint16(6, 0x0800, true) // 文件名使用 UTF-8
+    local.setUint16(8, 0, true) // 不压缩
+    local.setUint16(12, 0x21, true) // 修改日期 1980-01-01
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data)
+    // 中央目录
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014B50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(14, 0x21, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+    centralParts.push(new Uint8Array(central.buffer), nameBytes)
+    offset += 30 + nameBytes.length + data.length
+  })
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0)
+  // 中央目录结束标记
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: MIME_TYPES.xlsx })
+}
+
+/**
+ * 生成 xlsx 文件
+ * @description 在浏览器中生成仅包含一个工作表的 xlsx，不依赖第三方库
+ * @param {Array<Array<(string|number)>>} table - 表格内容，第一行为表头
+ * @param {object} [options] - 配置项
+ * @param {string} [options.sheetName] - 工作表名称，默认为 Sheet1
+ * @param {Array<ExportColumn>} [options.columns] - 导出列配置，用于读取列宽
+ * @returns {Blob} xlsx 文件
+ */
+export function createXLSX(table, { sheetName = 'Sheet1', columns = [] } = {}) {
+  // 工作表名称不能包含 []:*?/\ 且最长 31 个字符
+  const name = escapeXML(String(sheetName).replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1')
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${xmlHeader}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: createSheetXML(table, columns) },
+  ])
+}
+
+/**
+ * 在浏览器中下载文件
+ * @param {(Blob|string)} content - 文件内容
+ * @param {string} filename - 文件名
+ * @param {string} [type] - 文件内容为字符串时的 MIME 类型
+ */
+export function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  setTimeout(() => URL.revokeObjectURL(url))
+}
+
+/**
+ * 按列配置导出行数据并下载
+ * @param {object} options - 配置项
+ * @param {Array<ExportColumn>} options.columns - 导出列配置
+ * @param {Array<object>} options.rows - 行数据
+ * @param {string} [options.filename] - 文件名，未包含扩展名时自动添加，默认为 导出数据
+ * @param {('xlsx'|'csv')} [options.format] - 文件格式，默认为 xlsx
+ */
+export function exportTable({ columns, rows, filename = '导出数据', format = 'xlsx' }) {
+  const table = formatExportRows(columns, rows)
+  const name = filename.toLowerCase().endsWith(`.${format}`) ? filename : `${filename}.${format}`
+  if (format === 'csv') {
+    downloadFile(createCSV(table), name, MIME_TYPES.csv)
+    return
+  }
+  downloadFile(createXLSX(table, { sheetName: filename.replace(/\.\w+$/, ''), columns }), name)
+}
@@ -0,0 +1,99 @@
+import { get } from 'lodash-es'
+
+// 空值：非必填时跳过除 validator 以外的校验
+const isEmptyValue = value => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)
+
+// 与 async-validator 一致的类型校验，未列出的类型不校验
+const typeCheckers = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  integer: value => Number.isInteger(value),
+  float: value => typeof value === 'number' && !Number.isNaN(value) && !Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  date: value => !Number.isNaN(new Date(value).getTime()),
+  email: value => /^[^\s@]+@[^\s.@]+(?:\.[^\s.@]+)+$/.test(value),
+  url: value => /^(?:https?|ftp):\/\/\S+$/i.test(value),
+}
+
+// 校验值的长度或大小：数字比较数值，字符串和数组比较长度
+function checkRange(rule, value) {
+  const size = typeof value === 'number' ? value : value?.length
+  if (typeof size !== 'number')
+    return true
+  if (typeof rule.len === 'number')
+    return size === rule.len
+  return !(typeof rule.min === 'number' && size < rule.min) && !(typeof rule.max === 'number' && size > rule.max)
+}
+
+// 将 validator 的结果转换为错误信息，通过时为 null
+function toMessage(result, message) {
+  const error = Array.isArray(result) ? result[0] : result
+  if (error === undefined || error === null || error === true)
+    return null
+  if (error instanceof Error)
+    return error.message || message
+  return typeof error === 'string' ? error : message
+}
+
+// 执行自定义 validator，支持回调和返回 Promise 两种写法
+function runValidator(rule, value, source, message) {
+  return new Promise((resolve) => {
+    const callback = error => resolve(toMessage(error, message))
+    let result
+    try {
+      result = rule.validator(rule, value, callback, source, {})
+    }
+    catch (err) {
+      resolve(toMessage(err, message))
+      return
+    }
+    if (typeof result?.then === 'function')
+      result.then(() => resolve(null), err => resolve(toMessage(err, message)))
+    else if (result !== undefined)
+      resolve(result === false ? message : toMessage(result, message))
+  })
+}
+
+// 校验单条规则，返回错误信息，通过时为 null
+async function validateRule(rule, value, source, field) {
+  const message = rule.message || `${field}格式不正确`
+  if (typeof rule.validator === 'function')
+    return runValidator(rule, value, source, message)
+  const blank = isEmptyValue(value) || (rule.whitespace && typeof value === 'string' && !value.trim())
+  if (blank)
+    return rule.required ? rule.message || `${field}为必填项` : null
+  if (rule.type && typeCheckers[rule.type] && !typeCheckers[rule.type](value))
+    return message
+  if (!checkRange(rule, value))
+    return message
+  if (rule.pattern) {
+    const pattern = rule.pattern instanceof RegExp ? new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '')) : new RegExp(rule.pattern)
+    if (!pattern.test(String(value)))
+      return message
+  }
+  if (Array.isArray(rule.enum) && !rule.enum.includes(value))
+    return message
+  return null
+}
+
+/**
+ * 按 el-form 格式的校验规则校验数据
+ * @description 支持 required、whitespace、type、len/min/max、pattern、enum 和 validator，每个字段返回第一条错误信息
+ * @param {object} rules - 校验规则，以字段路径为键，值为单条或多条规则
+ * @param {object} values - 被校验的数据
+ * @returns {Promise<object>} 未通过校验的字段及错误信息，以字段路径为键
+ */
+export async function validateValues(rules, values) {
+  const results = await Promise.all(Object.entries(rules).map(async ([field, fieldRules]) => {
+    const value = get(values, field)
+    for (const rule of [fieldRules].flat().filter(Boolean)) {
+      const message = await validateRule(rule, value, values, field)
+      if (message)
+        return [field, message]
+    }
+    return null
+  }))
+  return Object.fromEntries(results.filter(Boolean))
+}
@@ -0,0 +1,75 @@
+/**
+ * 哨兵元素进入可视区域时触发加载的组合式函数
+ * @description 常与 useTable 的追加或游标模式配合，将哨兵元素放在列表末尾，滚动到底部时自动调用 loadMore，
+ * 加载完成后哨兵元素仍在可视区域内（如数据不足一屏）时会继续加载
+ * @param {import('vue').Ref<HTMLElement>} target - 哨兵元素的 ref，可以是组件实例
+ * @param {Function} onLoad - 加载方法，返回 Promise 时在完成后才会再次触发
+ * @param {object} [options] - 配置项
+ * @param {import('vue').Ref<HTMLElement>} [options.root] - 滚动容器的 ref，默认为浏览器视口
+ * @param {string} [options.rootMargin] - 提前触发的距离，默认为 100px
+ * @param {(boolean|import('vue').Ref<boolean>|Function)} [options.disabled] - 是否停止触发，如 () => !hasMore.value
+ * @returns {{ stop: Function }} stop 用于停止监听
+ *
+ * @example
+ * const { data, hasMore, loadMore } = useTable(getList, { mode: 'append' })
+ * const sentinel = ref(null)
+ * useInfiniteScroll(sentinel, loadMore, { disabled: () => !hasMore.value })
+ */
+const useInfiniteScroll = (target, onLoad, options = {}) => {
+  const { root, rootMargin = '100px', disabled } = options
+
+  let observer = null
+  let loading = false
+  // 已停止监听，加载中调用 stop 时加载完成后不再重新监听
+  let stopped = false
+
+  const isDisabled = () => (typeof disabled === 'function' ? disabled() : unref(disabled))
+  const getElement = value => unref(value)?.$el ?? unref(value)
+
+  const observe = () => {
+    observer?.disconnect()
+    if (stopped) {
+      return
+    }
+    const el = getElement(target)
+    if (!el || typeof IntersectionObserver === 'undefined') {
+      return
+    }
+    observer = new IntersectionObserver(async ([entry]) => {
+      if (!entry?.isIntersecting || loading || isDisabled()) {
+        return
+      }
+      loading = true
+      try {
+        await onLoad()
+      }
+      finally {
+        loading = false
+      }
+      // 重新监听以获取最新的相交状态，哨兵仍可见时继续加载
+      await nextTick()
+      if (!stopped) {
+        observe()
+      }
+    }, { root: getElement(root) || null, rootMargin })
+    observer.observe(el)
+  }
+
+  // 哨兵元素、滚动容器或禁用状态变化时重新监听，重新启用时哨兵已在可视区域内也能触发
+  const stopWatch = watch(() => [getElement(target), getElement(root), isDisabled()], observe, { immediate: true, flush: 'post' })
+
+  const stop = () => {
+    stopped = true
+    stopWatch()
+    observer?.disconnect()
+    observer = null
+  }
+
+  if (getCurrentScope()) {
+    onScopeDispose(stop)
+  }
+
+  return { stop }
+}
+
+export default useInfiniteScroll
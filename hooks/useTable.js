@@ -1,8 +1,13 @@
+import { cloneDeep, debounce, get, isEqual, omit } from 'lodash-es'
+import { exportTable } from './tableExport.js'
+import { validateValues } from './tableValidate.js'
+
 /**
  * 表格数据源函数类型
  * @typedef {Function} GetDataFunction
  * @description 用于获取表格数据的异步函数，接收查询参数并返回包含数据的Promise
  * @param {object} [params] - 查询参数对象
+ * @param {{signal: AbortSignal}} [context] - 请求上下文，signal 可传给 axios 或 fetch，发出新请求或组件卸载时取消当前请求
  * @returns {Promise<{data: any}>} 返回包含data字段的Promise对象
  */
 
@@ -18,6 +23,96 @@
  * @property {number} total - 数据总条数
  */
 
+/**
+ * 排序项
+ * @typedef {object} SortItem
+ * @property {string} prop - 排序的列，对应 el-table-column 的 prop
+ * @property {('ascending'|'descending')} order - 排序方向，与 el-table 的 order 一致
+ */
+
+/**
+ * 排序配置
+ * @typedef {object} SortConfig
+ * @description 排序参数的序列化方式，默认与若依后端的 orderByColumn、isAsc 参数一致
+ * @property {string} [orderByKey='orderByColumn'] - 请求中排序列的参数名
+ * @property {string} [orderKey='isAsc'] - 请求中排序方向的参数名
+ * @property {string} [ascValue='ascending'] - 升序时排序方向参数的值
+ * @property {string} [descValue='descending'] - 降序时排序方向参数的值
+ * @property {boolean} [multiple=false] - 是否多列排序，多列排序时按点击顺序保留各列的排序
+ * @property {string} [separator=','] - 多列排序时拼接各列的分隔符
+ * @property {Function} [formatColumn] - 将 prop 转换为排序列参数值的函数，如驼峰转下划线
+ * @property {SortItem|Array<SortItem>} [defaultSort] - 默认排序，需与 el-table 的 default-sort 保持一致
+ * @property {Function} [serialize] - 自定义序列化函数 (sorts: SortItem[]) => object，返回合并到请求参数中的对象
+ */
+
+/**
+ * 筛选配置
+ * @typedef {object} FilterConfig
+ * @description 列筛选参数的序列化方式，默认以 column-key 作为参数名，多个值以分隔符拼接
+ * @property {object} [keyMap] - column-key 与请求参数名的映射
+ * @property {string} [separator=','] - 多个筛选值的分隔符
+ * @property {Function} [serialize] - 自定义序列化函数 (filters: object) => object，返回合并到请求参数中的对象
+ */
+
+/**
+ * 地址栏同步配置
+ * @typedef {object} SyncUrlConfig
+ * @description 将页码、每页条数、排序和查询参数同步到路由 query，刷新或分享链接时恢复，需在组件 setup 中调用 useTable
+ * @property {('replace'|'push')} [mode='replace'] - 写入地址栏的方式，push 时每次查询都会产生历史记录，可通过浏览器前进后退切换
+ * @property {string} [sortKey='sort'] - query 中排序的参数名，值的格式如 name:asc,createTime:desc
+ */
+
+/**
+ * 客户端模式配置
+ * @typedef {object} ClientConfig
+ * @description mode 为 client 时 getData 一次返回全部数据，分页、排序、关键字搜索和筛选均在本地完成
+ * @property {string} [keywordKey='keyword'] - 查询参数中关键字的参数名，关键字在 keywordFields 中模糊匹配
+ * @property {Array<string>} [keywordFields] - 关键字匹配的字段，支持 a.b 形式的路径，默认匹配行的所有字段
+ * @property {Function} [filterMethod] - 自定义查询参数的匹配函数 (row, searchParams) => boolean，替代默认的逐字段匹配
+ * @property {Function} [sortMethod] - 自定义比较函数 (a, b, prop) => number，返回升序时的比较结果
+ */
+
+/**
+ * 游标分页配置
+ * @typedef {object} CursorConfig
+ * @description mode 为 cursor 时以上一次响应返回的游标请求下一页，请求中不再包含页码参数
+ * @property {string} [cursorKey='cursor'] - 请求中游标的参数名
+ * @property {string} [nextCursorField='nextCursor'] - 响应中下一页游标的字段路径
+ * @property {string} [hasMoreField] - 响应中是否还有更多数据的字段路径，不配置时根据下一页游标是否为空判断
+ */
+
+/**
+ * 分页缓存配置
+ * @typedef {object} CacheConfig
+ * @description 以请求参数（页码、每页条数、排序、筛选和查询参数）为键缓存响应，再次查询相同参数时先展示缓存的数据，同时在后台重新请求
+ * @property {number} [ttl=300000] - 缓存有效期（毫秒），过期的缓存不再展示
+ * @property {boolean} [prefetch=true] - 加载完成后是否预取下一页
+ * @property {number} [max=50] - 最多缓存的页数，超出时移除最早缓存的页
+ */
+
+/**
+ * 导出配置
+ * @typedef {object} ExportOptions
+ * @property {Array<import('./tableExport.js').ExportColumn>} columns - 导出列配置，支持 formatter 和字典标签
+ * @property {string} [filename='导出数据'] - 文件名，未包含扩展名时自动添加
+ * @property {('page'|'selected'|'all')} [scope='page'] - 导出范围：当前页、跨页选中的行、当前查询条件下的全部数据
+ * @property {('xlsx'|'csv')} [format='xlsx'] - 文件格式
+ * @property {number} [pageSize=500] - 导出全部数据时每次请求的条数
+ * @property {Function} [onProgress] - 导出全部数据时每获取一页调用 ({ loaded, total }) => void，total 未知时为 undefined
+ */
+
+/**
+ * 行内编辑配置
+ * @typedef {object} EditConfig
+ * @description 编辑时修改行数据的草稿副本，保存时校验通过后再写回行数据；
+ * 配置 save 时逐行保存到后端，否则在本地记录变更，通过 submitChanges 一次提交
+ * @property {object} [rules] - 单元格校验规则，以 prop 为键，格式与 el-form 的 rules 一致，支持 required、whitespace、type、len/min/max、pattern、enum 和 validator
+ * @property {Function} [save] - 保存单行的方法 (draft, { row, isNew }) => Promise，返回对象时合并到行数据，如新增后返回的 id
+ * @property {Function} [remove] - 删除单行的方法 (row) => Promise，不配置时删除记录为本地变更
+ * @property {Function} [submit] - 批量提交本地变更的方法 ({ added, updated, deleted }) => Promise
+ * @property {Function} [createRow] - 新增行的默认数据 () => object
+ */
+
 /**
  * 表格配置选项接口
  * @typedef {object} TableOptions
@@ -27,6 +122,19 @@
  * @property {boolean} [showLoading=true] - 是否显示加载状态
  * @property {boolean} [includePagination=true] - 请求参数中是否包含分页信息
  * @property {object} [searchParams] - 额外的查询参数，响应式对象
+ * @property {boolean|number} [autoSearch=false] - 查询参数变化时是否自动回到第一页重新查询，为数字时作为防抖的毫秒数，默认 300
+ * @property {SortConfig} [sort] - 排序配置
+ * @property {FilterConfig} [filter] - 列筛选配置
+ * @property {boolean|SyncUrlConfig} [syncUrl=false] - 是否将分页、排序和查询参数同步到地址栏
+ * @property {('server'|'client'|'append'|'cursor')} [mode='server'] - 数据处理模式，client 时在本地分页、排序和筛选，
+ * append 时通过 loadMore 按页码加载下一页并追加到 data，cursor 时按游标加载下一页并追加到 data
+ * @property {ClientConfig} [client] - 客户端模式配置
+ * @property {CursorConfig} [cursor] - 游标分页配置
+ * @property {boolean|CacheConfig} [cache=false] - 是否缓存已加载的页，仅对默认的服务端分页模式有效
+ * @property {EditConfig} [edit] - 行内编辑配置
+ * @property {string|Function} [rowKey='id'] - 行数据的唯一标识，用于跨页保留选中状态，可为字段路径或 (row) => key
+ * @property {object} [tableRef] - el-table 的 ref，获取数据后据此恢复当前页的勾选状态
+ * @property {Function} [selectable] - 行是否可选 (row) => boolean，与 el-table-column 的 selectable 保持一致
  */
 
 /**
@@ -37,6 +145,11 @@
  * @property {boolean} loading - 当前加载状态
  * @property {Error|null} error - 错误信息
  * @property {boolean} initialized - 是否已完成初始化
+ * @property {Array<SortItem>} sorts - 当前排序，单列排序时最多包含一项
+ * @property {object} filters - 当前列筛选，以 column-key 为键、筛选值数组为值
+ * @property {boolean} hasMore - 追加和游标模式下是否还有更多数据
+ * @property {boolean} exporting - 是否正在导出
+ * @property {number} exportProgress - 导出进度，0 ~ 100
  */
 
 /**
@@ -49,9 +162,42 @@
  * @property {object} initialized - 初始化状态，响应式
  * @property {object | null} pagination - 分页配置，响应式
  * @property {Function} fetchData - 手动获取数据的方法
+ * @property {Function} cancel - 取消当前请求的方法
+ * @property {Function} loadMore - 追加和游标模式下加载下一页的方法
+ * @property {object} hasMore - 是否还有更多数据，响应式
  * @property {Function} handlePageChange - 页码变更处理方法
  * @property {Function} handleSizeChange - 每页条数变更处理方法
- * @property {Function} reset - 重置表格数据和分页的方法
+ * @property {Function} reset - 重置表格数据和分页的方法，同时清空缓存
+ * @property {Function} invalidate - 清空缓存的方法，数据增删改后调用
+ * @property {object} sorts - 当前排序，响应式
+ * @property {object} filters - 当前列筛选，响应式
+ * @property {Function} handleSortChange - el-table sort-change 事件处理方法
+ * @property {Function} handleFilterChange - el-table filter-change 事件处理方法
+ * @property {Function} buildParams - 构建请求参数的方法
+ * @property {object} [searchParams] - 传入的查询参数，响应式
+ * @property {object} initialSearchParams - 查询参数的初始值，在从地址栏恢复之前获取
+ * @property {object} selectedRows - 跨页选中的行数据，响应式
+ * @property {object} selectedKeys - 跨页选中的行标识，响应式
+ * @property {Function} toggleRow - 切换行的选中状态
+ * @property {Function} selectAllMatching - 选中当前查询条件下所有页的数据
+ * @property {Function} clearSelection - 清空选中
+ * @property {Function} handleSelect - el-table select 事件处理方法
+ * @property {Function} handleSelectAll - el-table select-all 事件处理方法
+ * @property {Function} exportData - 导出数据的方法
+ * @property {Function} cancelExport - 取消导出的方法
+ * @property {Function} startEdit - 开始编辑行，返回草稿
+ * @property {Function} getDraft - 获取行的草稿，未在编辑时为 undefined
+ * @property {Function} isEditing - 行是否正在编辑
+ * @property {Function} validateRow - 校验行的草稿
+ * @property {Function} getCellError - 获取单元格的校验错误信息
+ * @property {Function} saveRow - 校验并保存行
+ * @property {Function} cancelEdit - 取消编辑行
+ * @property {Function} addRow - 新增行并开始编辑
+ * @property {Function} deleteRow - 删除行
+ * @property {Function} isDirty - 行是否有未提交的本地变更
+ * @property {object} hasChanges - 是否有未提交的本地变更，响应式
+ * @property {Function} submitChanges - 批量提交本地变更的方法
+ * @property {Function} discardChanges - 放弃本地变更并重新获取数据的方法
  */
 
 /**
@@ -97,6 +243,49 @@ const useTable = (
     includePagination: options.includePagination !== false,
   })
 
+  // 排序配置
+  const sortConfig = {
+    orderByKey: 'orderByColumn', // 请求中排序列的参数名
+    orderKey: 'isAsc', // 请求中排序方向的参数名
+    ascValue: 'ascending', // 升序的参数值
+    descValue: 'descending', // 降序的参数值
+    multiple: false, // 是否多列排序
+    separator: ',', // 多列排序的分隔符
+    ...options.sort,
+  }
+
+  // 列筛选配置
+  const filterConfig = {
+    keyMap: {}, // column-key 与请求参数名的映射
+    separator: ',', // 多个筛选值的分隔符
+    ...options.filter,
+  }
+
+  // 客户端模式配置
+  const isClientMode = options.mode === 'client'
+  const clientConfig = {
+    keywordKey: 'keyword', // 查询参数中关键字的参数名
+    keywordFields: null, // 关键字匹配的字段，为空时匹配所有字段
+    ...options.client,
+  }
+  // 客户端模式下 getData 返回的全部数据
+  let clientRows = []
+
+  // 追加和游标模式配置，两种模式下加载更多时均将下一页追加到 data
+  const isAppendMode = options.mode === 'append' || options.mode === 'cursor'
+  const isCursorMode = options.mode === 'cursor'
+  const cursorConfig = {
+    cursorKey: 'cursor', // 请求中游标的参数名
+    nextCursorField: 'nextCursor', // 响应中下一页游标的字段路径
+    hasMoreField: null, // 响应中是否还有更多数据的字段路径，为空时根据下一页游标判断
+    ...options.cursor,
+  }
+  // 游标模式下请求下一页使用的游标
+  let nextCursor = null
+
+  // 统一为排序项数组，过滤掉未指定列或方向的项
+  const toSortList = sort => [sort].flat().filter(item => item?.prop && item.order)
+
   /**
    * 响应式状态
    * @description 维护表格的内部状态
@@ -106,6 +295,11 @@ const useTable = (
     loading: false, // 当前加载状态
     error: null, // 错误信息
     initialized: false, // 是否已完成初始化
+    sorts: toSortList(sortConfig.defaultSort), // 当前排序
+    filters: {}, // 当前列筛选
+    hasMore: false, // 追加和游标模式下是否还有更多数据
+    exporting: false, // 是否正在导出
+    exportProgress: 0, // 导出进度
   })
 
   // 数据字段路径解析
@@ -123,52 +317,519 @@ const useTable = (
       })
     : null
 
-  // 包装 getData，确保频繁切换参数时自动取消上一次请求
-  const getDataWithCancel = getData
+  // 包装 getData，发出新请求前通过 AbortSignal 取消上一次未完成的请求
+  let abortController = null
+  const getDataWithCancel = (params) => {
+    abortController?.abort()
+    abortController = new AbortController()
+    return getData(params, { signal: abortController.signal })
+  }
+  // 分页缓存配置，以请求参数序列化后的字符串为键
+  const cacheConfig = options.cache && !isClientMode && !isAppendMode
+    ? { ttl: 5 * 60 * 1000, prefetch: true, max: 50, ...(typeof options.cache === 'object' && options.cache) }
+    : null
+  const pageCache = new Map()
+  // 缓存版本，清空缓存后丢弃清空前发出的预取结果
+  let cacheVersion = 0
+  // 正在预取的缓存键，避免重复预取
+  const prefetchingKeys = new Set()
+  // 预取请求的取消控制器，清空缓存或组件卸载时取消未完成的预取
+  let prefetchController = new AbortController()
+
+  const getCacheKey = params => (cacheConfig ? JSON.stringify(params) : null)
+
+  // 读取未过期的缓存
+  const readCache = (key) => {
+    const entry = pageCache.get(key)
+    if (entry && Date.now() - entry.time >= cacheConfig.ttl) {
+      pageCache.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  // 写入缓存并移到最后，超出数量时移除最早缓存的页；保存副本，避免编辑表格数据时修改缓存
+  const writeCache = (key, data) => {
+    pageCache.delete(key)
+    pageCache.set(key, { data: cloneDeep(data), time: Date.now() })
+    if (pageCache.size > cacheConfig.max) {
+      pageCache.delete(pageCache.keys().next().value)
+    }
+  }
+
+  // 请求序号，仅最后一次请求的结果会更新状态，避免未处理 signal 的 getData 以过期数据覆盖新数据
+  let requestId = 0
+  // 最近一次查询使用的查询参数，用于判断自动查询时参数是否变化
+  let lastSearchParams = null
+
+  // 将排序序列化为请求参数
+  const serializeSorts = (sorts) => {
+    if (typeof sortConfig.serialize === 'function') {
+      return sortConfig.serialize(sorts)
+    }
+    if (!sorts.length) {
+      return {}
+    }
+    const { orderByKey, orderKey, ascValue, descValue, separator, formatColumn } = sortConfig
+    return {
+      [orderByKey]: sorts.map(({ prop }) => (typeof formatColumn === 'function' ? formatColumn(prop) : prop)).join(separator),
+      [orderKey]: sorts.map(({ order }) => (order === 'ascending' ? ascValue : descValue)).join(separator),
+    }
+  }
+
+  // 将列筛选序列化为请求参数，单个值直接传递，多个值以分隔符拼接
+  const serializeFilters = (filters) => {
+    if (typeof filterConfig.serialize === 'function') {
+      return filterConfig.serialize(filters)
+    }
+    return Object.entries(filters).reduce((params, [key, values]) => {
+      if (values?.length) {
+        params[filterConfig.keyMap[key] || key] = values.length > 1 ? values.join(filterConfig.separator) : values[0]
+      }
+      return params
+    }, {})
+  }
+
+  // 地址栏同步配置，查询参数的 query 值为字符串时原样保存，其余类型保存为 JSON
+  const urlConfig = options.syncUrl
+    ? { mode: 'replace', sortKey: 'sort', ...(typeof options.syncUrl === 'object' && options.syncUrl) }
+    : null
+  const route = urlConfig ? useRoute() : null
+  const router = urlConfig ? useRouter() : null
+  // 仅在当前页面同步，离开页面时路由变化不做处理
+  const routePath = route?.path
+  // 查询参数的初始值，query 中不存在的参数恢复为初始值，也用于推断 query 值的类型
+  const initialSearchParams = cloneDeep(options.searchParams?.value || {})
+  // 最近一次写入或读取的 query，用于区分前进后退与自身写入
+  let lastQuery = null
+
+  // 由地址栏同步管理的 query 参数名
+  const getUrlKeys = () => [
+    config.pagination.currentPageKey,
+    config.pagination.pageSizeKey,
+    urlConfig.sortKey,
+    ...Object.keys({ ...initialSearchParams, ...options.searchParams?.value }),
+  ]
+
+  // 根据查询参数的初始值还原 query 值的类型
+  const parseQueryValue = (value, initialValue) => {
+    const text = Array.isArray(value) ? value[0] : value
+    if (typeof initialValue === 'string' || (initialValue == null && !/^[[{]/.test(text))) {
+      return text
+    }
+    try {
+      return JSON.parse(text)
+    }
+    catch {
+      return text
+    }
+  }
+
+  // 将当前状态转换为 query，默认页码、每页条数和空值不写入
+  const toQuery = () => {
+    const query = {}
+    if (pagination && !isAppendMode && pagination.pageNum !== 1) {
+      query[config.pagination.currentPageKey] = String(pagination.pageNum)
+    }
+    if (pagination && pagination.pageSize !== config.pagination.pageSize) {
+      query[config.pagination.pageSizeKey] = String(pagination.pageSize)
+    }
+    if (state.sorts.length) {
+      query[urlConfig.sortKey] = state.sorts.map(({ prop, order }) => `${prop}:${order === 'ascending' ? 'asc' : 'desc'}`).join(',')
+    }
+    Object.entries(options.searchParams?.value || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+        return
+      }
+      query[key] = typeof value === 'string' ? value : JSON.stringify(value)
+    })
+    return query
+  }
+
+  // 从 query 恢复分页、排序和查询参数
+  const applyQuery = (query) => {
+    if (pagination) {
+      pagination.pageNum = Number(query[config.pagination.currentPageKey]) || 1
+      pagination.pageSize = Number(query[config.pagination.pageSizeKey]) || config.pagination.pageSize
+    }
+    const sortText = query[urlConfig.sortKey]
+    state.sorts = sortText
+      ? toSortList(String(sortText).split(',').map((text) => {
+          const [prop, order] = text.split(':')
+          return { prop, order: order === 'asc' ? 'ascending' : 'descending' }
+        }))
+      : toSortList(sortConfig.defaultSort)
+    const searchParams = options.searchParams?.value
+    if (searchParams) {
+      Object.keys({ ...initialSearchParams, ...searchParams }).forEach((key) => {
+        searchParams[key] = key in query
+          ? parseQueryValue(query[key], initialSearchParams[key])
+          : cloneDeep(initialSearchParams[key])
+      })
+    }
+  }
+
+  // 将当前状态写入地址栏，保留其他 query 参数
+  const syncToUrl = () => {
+    if (!urlConfig || route.path !== routePath) {
+      return
+    }
+    const query = { ...omit(route.query, getUrlKeys()), ...toQuery() }
+    if (isEqual(query, route.query)) {
+      return
+    }
+    lastQuery = query
+    router[urlConfig.mode === 'push' ? 'push' : 'replace']({ query })
+  }
+
+  // 跨页选中的行，以行标识为键，保留选中时的行数据
+  const selectedMap = shallowReactive(new Map())
+  const rowKey = options.rowKey || 'id'
+  const getRowKey = row => (typeof rowKey === 'function' ? rowKey(row) : get(row, rowKey))
+  const isSelectable = row => typeof options.selectable !== 'function' || options.selectable(row)
+
+  // 根据选中的行恢复当前页的勾选状态，并用最新的行数据替换保留的行数据
+  const applySelection = () => {
+    state.data.forEach((row) => {
+      const key = getRowKey(row)
+      if (selectedMap.has(key)) {
+        selectedMap.set(key, row)
+      }
+    })
+    const table = options.tableRef?.value
+    if (!table) {
+      return
+    }
+    nextTick(() => {
+      table.clearSelection()
+      state.data.forEach((row) => {
+        if (selectedMap.has(getRowKey(row))) {
+          table.toggleRowSelection(row, true)
+        }
+      })
+    })
+  }
+
+  // 行内编辑配置
+  const editConfig = { rules: {}, ...options.edit }
+  // 编辑中的行草稿和校验错误，以行标识为键
+  const drafts = shallowReactive(new Map())
+  const editErrors = reactive({})
+  // 未提交的本地变更，以行标识为键，跨页和重新获取数据后保留
+  const addedRows = shallowReactive(new Map())
+  const updatedRows = shallowReactive(new Map())
+  const deletedRows = shallowReactive(new Map())
+  // 新增行没有行标识，使用临时标识
+  const newRowKeys = new WeakMap()
+  let newRowSeed = 0
+  // 新增后还未保存过的行，取消编辑时移除
+  const pendingNewRows = new WeakSet()
+  const getEditKey = row => newRowKeys.get(toRaw(row)) ?? getRowKey(row)
+
+  // 将本地变更应用到当前数据：移除已删除的行，替换已修改的行，新增的行显示在第一页顶部
+  const applyChanges = () => {
+    if (!addedRows.size && !updatedRows.size && !deletedRows.size) {
+      return
+    }
+    const rows = state.data
+      .filter(row => !deletedRows.has(getEditKey(row)) && !addedRows.has(getEditKey(row)))
+      .map(row => updatedRows.get(getEditKey(row)) ?? row)
+    const showAdded = !pagination || isAppendMode || pagination.pageNum === 1
+    state.data = showAdded ? [...addedRows.values(), ...rows] : rows
+  }
+
+  // 查询参数或筛选值是否为空，空值不参与筛选
+  const isEmptyValue = value => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)
+
+  // 关键字匹配的文本，对象和数组取所有嵌套的值
+  const toSearchText = value => (value && typeof value === 'object'
+    ? Object.values(value).map(toSearchText).join('\n')
+    : String(value ?? ''))
+
+  // 默认的查询参数匹配：关键字匹配多个字段，字符串模糊匹配，数组匹配其中任意一个值，其余全等匹配，行中不存在的参数忽略
+  const matchSearchParams = (row, searchParams) => Object.entries(searchParams).every(([key, value]) => {
+    if (isEmptyValue(value)) {
+      return true
+    }
+    if (key === clientConfig.keywordKey) {
+      const keyword = String(value).trim().toLowerCase()
+      const values = clientConfig.keywordFields ? clientConfig.keywordFields.map(field => get(row, field)) : [row]
+      return values.some(item => toSearchText(item).toLowerCase().includes(keyword))
+    }
+    const cellValue = get(row, key)
+    if (cellValue === undefined) {
+      return true
+    }
+    if (Array.isArray(value)) {
+      return value.map(String).includes(String(cellValue))
+    }
+    if (typeof value === 'string') {
+      return String(cellValue).toLowerCase().includes(value.trim().toLowerCase())
+    }
+    return isEqual(cellValue, value)
+  })
+
+  // 列筛选以 column-key 为字段匹配筛选值中的任意一个
+  const matchFilters = row => Object.entries(state.filters).every(([key, values]) =>
+    isEmptyValue(values) || values.map(String).includes(String(get(row, key))))
+
+  // 默认比较函数：空值最小，数字按大小，其余按字符串自然顺序
+  const compareValues = (a, b) => {
+    if (isEmptyValue(a) || isEmptyValue(b)) {
+      return Number(!isEmptyValue(a)) - Number(!isEmptyValue(b))
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b
+    }
+    return String(a).localeCompare(String(b), 'zh-CN', { numeric: true })
+  }
+
+  // 按当前排序依次比较，前一列相等时比较下一列
+  const sortRows = (rows) => {
+    if (!state.sorts.length) {
+      return rows
+    }
+    return [...rows].sort((a, b) => {
+      for (const { prop, order } of state.sorts) {
+        const result = typeof clientConfig.sortMethod === 'function'
+          ? clientConfig.sortMethod(a, b, prop)
+          : compareValues(get(a, prop), get(b, prop))
+        if (result) {
+          return order === 'descending' ? -result : result
+        }
+      }
+      return 0
+    })
+  }
+
+  // 客户端模式下经过查询参数、列筛选和排序处理后的全部数据
+  const getClientRows = () => {
+    const searchParams = options.searchParams?.value || {}
+    const matchRow = typeof clientConfig.filterMethod === 'function'
+      ? row => clientConfig.filterMethod(row, searchParams)
+      : row => matchSearchParams(row, searchParams)
+    return sortRows(clientRows.filter(row => matchRow(row) && matchFilters(row)))
+  }
+
+  // 客户端模式下计算当前页数据，页码超出范围时回到最后一页
+  const applyClientData = () => {
+    const rows = getClientRows()
+    if (!pagination || !config.includePagination) {
+      state.data = rows
+    }
+    else {
+      pagination.total = rows.length
+      pagination.pageNum = Math.min(pagination.pageNum, Math.max(1, Math.ceil(rows.length / pagination.pageSize)))
+      const start = (pagination.pageNum - 1) * pagination.pageSize
+      state.data = rows.slice(start, start + pagination.pageSize)
+    }
+    applyChanges()
+    applySelection()
+  }
+
+  /**
+   * 构建请求参数
+   * @description 优先级：分页参数 < 排序参数 < 筛选参数 < 查询参数
+   * @returns {object} 请求参数
+   */
+  const buildParams = () => ({
+    ...(config.pagination && config.includePagination && {
+      [config.pagination.currentPageKey]: pagination.pageNum,
+      [config.pagination.pageSizeKey]: pagination.pageSize,
+    }),
+    ...serializeSorts(state.sorts),
+    ...serializeFilters(state.filters),
+    ...(options.searchParams?.value || {}),
+  })
+
+  // 追加和游标模式下判断是否还有更多数据：优先使用响应中的游标或总条数，否则以本页是否已满判断
+  const getHasMore = (data, pageData) => {
+    if (isCursorMode) {
+      return cursorConfig.hasMoreField ? Boolean(get(data, cursorConfig.hasMoreField)) : !isEmptyValue(nextCursor)
+    }
+    if (data?.total !== undefined) {
+      return state.data.length < data.total
+    }
+    return Boolean(pagination) && pageData.length >= pagination.pageSize
+  }
+
+  // 处理响应数据，更新表格数据和分页信息
+  const applyResponse = (data, loadingMore) => {
+    // 处理数据字段
+    const resultData = config.pagination.dataField
+      ? getNestedData(data, config.pagination.dataField)
+      : data
+    // 更新分页信息
+    if (config.pagination && data?.total !== undefined) {
+      pagination.total = data.total
+    }
+    if (isAppendMode) {
+      nextCursor = isCursorMode ? get(data, cursorConfig.nextCursorField) : null
+      if (loadingMore && pagination) {
+        pagination.pageNum += 1
+      }
+      state.data = loadingMore ? [...state.data, ...(resultData || [])] : resultData || []
+      state.hasMore = getHasMore(data, resultData || [])
+    }
+    else {
+      state.data = resultData
+    }
+    applyChanges()
+    applySelection()
+    state.initialized = true
+    // 调用成功回调
+    if (typeof options.onSuccess === 'function') {
+      options.onSuccess(resultData)
+    }
+  }
+
+  // 在后台预取下一页并写入缓存，不影响当前的表格状态
+  const prefetchNextPage = (params) => {
+    const pageKey = config.pagination.currentPageKey
+    if (!cacheConfig?.prefetch || !pagination || !(pageKey in params) || pagination.pageNum * pagination.pageSize >= pagination.total) {
+      return
+    }
+    const nextParams = { ...params, [pageKey]: pagination.pageNum + 1 }
+    const key = getCacheKey(nextParams)
+    if (readCache(key) || prefetchingKeys.has(key)) {
+      return
+    }
+    const version = cacheVersion
+    const { signal } = prefetchController
+    prefetchingKeys.add(key)
+    Promise.resolve()
+      .then(() => getData(nextParams, { signal }))
+      .then(({ data }) => {
+        if (version === cacheVersion) {
+          writeCache(key, data)
+        }
+      })
+      .catch((err) => {
+        // 预取失败不影响当前页，被取消的预取不提示
+        if (!signal.aborted) {
+          console.warn('useTable prefetch error:', err)
+        }
+      })
+      .finally(() => prefetchingKeys.delete(key))
+  }
 
   /**
    * 获取数据方法
-   * @description 调用getData获取数据并处理结果
+   * @description 调用getData获取数据并处理结果，客户端模式下重新获取全部数据，追加和游标模式下从第一页重新加载
+   * @param {object} [fetchOptions] - 内部使用的获取选项
+   * @param {boolean} [fetchOptions.append] - 是否加载下一页并追加到 data，仅追加和游标模式有效，默认为 false
    * @returns {Promise<void>} 获取数据的Promise
    */
-  const fetchData = async () => {
+  const fetchData = async ({ append = false } = {}) => {
     if (!getData || typeof getData !== 'function') {
       throw new Error('getData must be a function')
     }
+    const currentId = ++requestId
+    lastSearchParams = cloneDeep(options.searchParams?.value)
     state.loading = config.showLoading
     state.error = null
     try {
-      const params = {
-        ...(config.pagination && config.includePagination && {
-          [config.pagination.currentPageKey]: pagination.pageNum,
-          [config.pagination.pageSizeKey]: pagination.pageSize,
-        }),
-        ...(options.searchParams?.value || {}),
-      }
-      // 使用带取消功能的 getData
+      // 客户端模式一次获取全部数据，本地分页、排序和筛选
+      if (isClientMode) {
+        syncToUrl()
+        const result = await getDataWithCancel({})
+        if (currentId !== requestId) {
+          return
+        }
+        const data = Array.isArray(result) ? result : result?.data
+        clientRows = (Array.isArray(data) ? data : getNestedData(data, config.pagination.dataField)) || []
+        applyClientData()
+        state.initialized = true
+        if (typeof options.onSuccess === 'function') {
+          options.onSuccess(clientRows)
+        }
+        return
+      }
+      // 追加模式下重新加载时回到第一页，加载更多时请求下一页；游标模式以游标代替页码
+      const loadingMore = isAppendMode && append
+      if (isAppendMode && !loadingMore && pagination) {
+        pagination.pageNum = 1
+      }
+      const params = buildParams()
+      const pageKey = config.pagination.currentPageKey
+      if (loadingMore && pageKey in params) {
+        params[pageKey] = pagination.pageNum + 1
+      }
+      if (isCursorMode) {
+        delete params[pageKey]
+        if (loadingMore) {
+          params[cursorConfig.cursorKey] = nextCursor
+        }
+      }
+      syncToUrl()
+      // 命中缓存时先展示缓存的数据，不显示加载状态，请求完成后数据有变化再更新
+      const cacheKey = getCacheKey(params)
+      const cached = cacheKey && readCache(cacheKey)
+      if (cached) {
+        applyResponse(cloneDeep(cached.data), loadingMore)
+        state.loading = false
+      }
+      // 使用带取消功能的 getData，已有更新的请求时丢弃本次结果
       const { data } = await getDataWithCancel(params)
-      // 处理数据字段
-      const resultData = config.pagination.dataField
-        ? getNestedData(data, config.pagination.dataField)
-        : data
-      // 更新分页信息
-      if (config.pagination && data?.total !== undefined) {
-        pagination.total = data.total
+      if (currentId !== requestId) {
+        return
       }
-      state.data = resultData
-      state.initialized = true
-      // 调用成功回调
-      if (typeof options.onSuccess === 'function') {
-        options.onSuccess(resultData)
+      if (cacheKey) {
+        writeCache(cacheKey, data)
+      }
+      if (!cached || !isEqual(cached.data, data)) {
+        applyResponse(data, loadingMore)
       }
+      prefetchNextPage(params)
     }
     catch (err) {
+      // 被取消或已过期的请求不更新错误状态
+      if (currentId !== requestId) {
+        return
+      }
       state.error = err
       console.error('useTable error:', err)
     }
     finally {
-      state.loading = false
+      if (currentId === requestId) {
+        state.loading = false
+      }
+    }
+  }
+
+  /**
+   * 加载下一页
+   * @description 追加和游标模式下将下一页数据追加到 data，加载中或没有更多数据时不做处理
+   * @returns {Promise<void>}
+   */
+  const loadMore = async () => {
+    if (!isAppendMode || state.loading || !state.hasMore) {
+      return
     }
+    await fetchData({ append: true })
+  }
+
+  /**
+   * 取消当前请求
+   * @description 通过 AbortSignal 取消未完成的请求，并忽略其返回结果
+   * @returns {void}
+   */
+  const cancel = () => {
+    abortController?.abort()
+    abortController = null
+    requestId++
+    state.loading = false
+  }
+
+  // 加载当前页，客户端模式下已获取过数据时直接在本地计算
+  const loadPage = () => {
+    if (isClientMode && state.initialized) {
+      lastSearchParams = cloneDeep(options.searchParams?.value)
+      syncToUrl()
+      applyClientData()
+      return
+    }
+    fetchData()
   }
 
   /**
@@ -180,7 +841,7 @@ const useTable = (
   const handlePageChange = (page) => {
     if (pagination) {
       pagination.pageNum = page
-      fetchData()
+      loadPage()
     }
   }
 
@@ -194,21 +855,542 @@ const useTable = (
     if (pagination) {
       pagination.pageSize = size
       pagination.pageNum = 1
-      fetchData()
+      loadPage()
+    }
+  }
+
+  /**
+   * 排序变更处理
+   * @description 对应 el-table 的 sort-change 事件，排序列需设置 sortable="custom"，排序变化后回到第一页
+   * @param {{prop: string, order: ('ascending'|'descending'|null)}} sort - el-table 传递的排序信息
+   * @returns {void}
+   */
+  const handleSortChange = ({ prop, order }) => {
+    if (!sortConfig.multiple) {
+      state.sorts = toSortList({ prop, order })
+    }
+    else if (!order) {
+      state.sorts = state.sorts.filter(item => item.prop !== prop)
     }
+    else if (state.sorts.some(item => item.prop === prop)) {
+      state.sorts = state.sorts.map(item => (item.prop === prop ? { prop, order } : item))
+    }
+    else {
+      state.sorts = [...state.sorts, { prop, order }]
+    }
+    handlePageChange(1)
+  }
+
+  /**
+   * 列筛选变更处理
+   * @description 对应 el-table 的 filter-change 事件，筛选列需设置 column-key，筛选变化后回到第一页
+   * @param {object} changedFilters - el-table 传递的筛选信息，以 column-key 为键、筛选值数组为值
+   * @returns {void}
+   */
+  const handleFilterChange = (changedFilters) => {
+    Object.entries(changedFilters).forEach(([key, values]) => {
+      if (values?.length) {
+        state.filters[key] = [...values]
+      }
+      else {
+        delete state.filters[key]
+      }
+    })
+    handlePageChange(1)
+  }
+
+  /**
+   * 切换行的选中状态
+   * @description 选中状态跨页保留，行在当前页时同步 el-table 的勾选状态
+   * @param {object} row - 行数据
+   * @param {boolean} [selected] - 是否选中，不传时切换
+   * @returns {void}
+   */
+  const toggleRow = (row, selected) => {
+    const key = getRowKey(row)
+    const nextSelected = selected ?? !selectedMap.has(key)
+    if (nextSelected && isSelectable(row)) {
+      selectedMap.set(key, row)
+    }
+    else if (!nextSelected) {
+      selectedMap.delete(key)
+    }
+    const tableRow = state.data.find(item => getRowKey(item) === key)
+    if (tableRow) {
+      options.tableRef?.value?.toggleRowSelection(tableRow, selectedMap.has(key))
+    }
+  }
+
+  // 跨页全选请求的取消控制器
+  let selectAllController = null
+
+  /**
+   * 选中当前查询条件下所有页的数据
+   * @description 客户端模式直接选中本地筛选后的数据，服务端模式以当前条件请求第一页、每页条数为总条数的数据
+   * @returns {Promise<void>}
+   */
+  const selectAllMatching = async () => {
+    let rows = state.data
+    if (isClientMode) {
+      rows = getClientRows()
+    }
+    else if (pagination && config.includePagination && pagination.total > state.data.length) {
+      // 与表格请求互不取消，使用独立的 signal，重复调用或组件卸载时取消
+      selectAllController?.abort()
+      const controller = new AbortController()
+      selectAllController = controller
+      try {
+        const { data } = await getData({
+          ...buildParams(),
+          [config.pagination.currentPageKey]: 1,
+          [config.pagination.pageSizeKey]: pagination.total,
+        }, { signal: controller.signal })
+        if (controller.signal.aborted) {
+          return
+        }
+        rows = (config.pagination.dataField ? getNestedData(data, config.pagination.dataField) : data) || []
+      }
+      catch (err) {
+        if (controller.signal.aborted) {
+          return
+        }
+        throw err
+      }
+      finally {
+        if (selectAllController === controller) {
+          selectAllController = null
+        }
+      }
+    }
+    rows.filter(isSelectable).forEach(row => selectedMap.set(getRowKey(row), row))
+    applyChanges()
+    applySelection()
+  }
+
+  /**
+   * 清空选中
+   * @returns {void}
+   */
+  const clearSelection = () => {
+    selectedMap.clear()
+    options.tableRef?.value?.clearSelection()
+  }
+
+  /**
+   * 勾选单行处理
+   * @description 对应 el-table 的 select 事件，不使用 selection-change 以免恢复勾选状态时误判
+   * @param {Array} selection - 当前页已勾选的行
+   * @param {object} row - 勾选或取消勾选的行
+   * @returns {void}
+   */
+  const handleSelect = (selection, row) => {
+    toggleRow(row, selection.includes(row))
+  }
+
+  /**
+   * 勾选全部处理
+   * @description 对应 el-table 的 select-all 事件，仅作用于当前页的行
+   * @param {Array} selection - 当前页已勾选的行，取消全选时为空
+   * @returns {void}
+   */
+  const handleSelectAll = (selection) => {
+    state.data.forEach((row) => {
+      if (selection.includes(row)) {
+        selectedMap.set(getRowKey(row), row)
+      }
+      else if (isSelectable(row)) {
+        selectedMap.delete(getRowKey(row))
+      }
+    })
+  }
+
+  // 导出全部数据时的取消控制器
+  let exportController = null
+
+  // 以当前查询条件逐页获取全部数据，游标模式按游标依次获取，请求参数不分页时只请求一次
+  const fetchAllRows = async ({ pageSize, onProgress }, signal) => {
+    const { currentPageKey, pageSizeKey, dataField } = config.pagination
+    const rows = []
+    let pageNum = 1
+    let cursor = null
+    while (true) {
+      const params = buildParams()
+      if (config.includePagination) {
+        params[pageSizeKey] = pageSize
+        if (isCursorMode) {
+          delete params[currentPageKey]
+          if (!isEmptyValue(cursor)) {
+            params[cursorConfig.cursorKey] = cursor
+          }
+        }
+        else {
+          params[currentPageKey] = pageNum
+        }
+      }
+      const { data } = await getData(params, { signal })
+      if (signal.aborted) {
+        return rows
+      }
+      const pageRows = (dataField ? getNestedData(data, dataField) : data) || []
+      rows.push(...pageRows)
+      const total = data?.total
+      if (total) {
+        state.exportProgress = Math.min(99, Math.round(rows.length / total * 100))
+      }
+      if (typeof onProgress === 'function') {
+        onProgress({ loaded: rows.length, total })
+      }
+      cursor = isCursorMode ? get(data, cursorConfig.nextCursorField) : null
+      const hasMore = isCursorMode
+        ? (cursorConfig.hasMoreField ? Boolean(get(data, cursorConfig.hasMoreField)) : !isEmptyValue(cursor))
+        : (total !== undefined ? rows.length < total : pageRows.length >= pageSize)
+      if (!config.includePagination || !pageRows.length || !hasMore) {
+        return rows
+      }
+      pageNum++
+    }
+  }
+
+  /**
+   * 导出数据
+   * @description 按列配置导出当前页、跨页选中的行或当前查询条件下的全部数据，导出全部时通过 getData 逐页获取，客户端模式直接使用本地筛选后的数据
+   * @param {ExportOptions} exportOptions - 导出配置
+   * @returns {Promise<boolean>} 是否已生成文件，取消导出时为 false
+   */
+  const exportData = async ({ columns, filename, scope = 'page', format = 'xlsx', pageSize = 500, onProgress } = {}) => {
+    if (!Array.isArray(columns) || !columns.length) {
+      throw new Error('exportData: columns must be a non-empty array')
+    }
+    exportController?.abort()
+    const controller = new AbortController()
+    exportController = controller
+    state.exporting = true
+    state.exportProgress = 0
+    try {
+      let rows = state.data
+      if (scope === 'selected') {
+        rows = [...selectedMap.values()]
+      }
+      else if (scope === 'all') {
+        rows = isClientMode ? getClientRows() : await fetchAllRows({ pageSize, onProgress }, controller.signal)
+      }
+      if (controller.signal.aborted) {
+        return false
+      }
+      exportTable({ columns, rows, filename, format })
+      state.exportProgress = 100
+      return true
+    }
+    catch (err) {
+      // 取消导出时中断的请求不作为错误抛出
+      if (controller.signal.aborted) {
+        return false
+      }
+      throw err
+    }
+    finally {
+      if (exportController === controller) {
+        exportController = null
+        state.exporting = false
+      }
+    }
+  }
+
+  /**
+   * 取消导出
+   * @description 中断导出全部数据时的请求，不生成文件
+   * @returns {void}
+   */
+  const cancelExport = () => {
+    exportController?.abort()
+  }
+
+  /**
+   * 清空缓存
+   * @description 新增、编辑或删除数据后调用，之后的查询均重新请求
+   * @returns {void}
+   */
+  const invalidate = () => {
+    pageCache.clear()
+    prefetchingKeys.clear()
+    cacheVersion++
+    prefetchController.abort()
+    prefetchController = new AbortController()
+  }
+
+  /**
+   * 开始编辑行
+   * @description 以行数据的副本作为草稿，编辑控件绑定草稿，保存前不修改行数据；行已在编辑时返回已有的草稿
+   * @param {object} row - 行数据
+   * @returns {object} 草稿，响应式
+   */
+  const startEdit = (row) => {
+    const key = getEditKey(row)
+    if (!drafts.has(key)) {
+      drafts.set(key, reactive(cloneDeep(toRaw(row))))
+    }
+    return drafts.get(key)
+  }
+
+  /**
+   * 获取行的草稿
+   * @param {object} row - 行数据
+   * @returns {object|undefined} 草稿，未在编辑时为 undefined
+   */
+  const getDraft = row => drafts.get(getEditKey(row))
+
+  /**
+   * 行是否正在编辑
+   * @param {object} row - 行数据
+   * @returns {boolean} 是否正在编辑
+   */
+  const isEditing = row => drafts.has(getEditKey(row))
+
+  /**
+   * 校验行的草稿
+   * @description 按 edit.rules 校验，错误信息通过 getCellError 获取
+   * @param {object} row - 行数据
+   * @param {string|Array<string>} [props] - 只校验指定的列，如单元格修改时校验该列
+   * @returns {Promise<boolean>} 是否校验通过
+   */
+  const validateRow = async (row, props) => {
+    const key = getEditKey(row)
+    const draft = drafts.get(key)
+    if (!draft) {
+      return true
+    }
+    const fields = props ? [props].flat() : Object.keys(editConfig.rules)
+    const rules = Object.fromEntries(fields.filter(prop => editConfig.rules[prop]).map(prop => [prop, editConfig.rules[prop]]))
+    const errors = { ...omit(editErrors[key], fields), ...(await validateValues(rules, toRaw(draft))) }
+    editErrors[key] = errors
+    return !fields.some(prop => errors[prop])
+  }
+
+  /**
+   * 获取单元格的校验错误信息
+   * @param {object} row - 行数据
+   * @param {string} prop - 列的字段
+   * @returns {string|undefined} 错误信息
+   */
+  const getCellError = (row, prop) => editErrors[getEditKey(row)]?.[prop]
+
+  // 结束编辑，清除草稿和校验错误
+  const endEdit = (key) => {
+    drafts.delete(key)
+    delete editErrors[key]
+  }
+
+  // 从当前数据中移除行
+  const removeFromData = (key) => {
+    state.data = state.data.filter(item => getEditKey(item) !== key)
+  }
+
+  /**
+   * 校验并保存行
+   * @description 配置 edit.save 时调用其保存到后端，成功后写回行数据并清空缓存；否则写回行数据并记录为本地变更
+   * @param {object} row - 行数据
+   * @returns {Promise<boolean>} 是否保存成功，校验未通过时为 false，save 的异常会继续抛出并保留草稿
+   */
+  const saveRow = async (row) => {
+    const key = getEditKey(row)
+    const draft = drafts.get(key)
+    if (!draft) {
+      return true
+    }
+    if (!(await validateRow(row))) {
+      return false
+    }
+    const values = cloneDeep(toRaw(draft))
+    const isNew = addedRows.has(key)
+    if (typeof editConfig.save === 'function') {
+      const result = await editConfig.save(values, { row, isNew })
+      Object.assign(row, values, result && typeof result === 'object' ? result : {})
+      if (isNew) {
+        addedRows.delete(key)
+        newRowKeys.delete(toRaw(row))
+        // 客户端模式下加入本地数据，之后筛选、排序和分页时保留
+        if (isClientMode) {
+          clientRows = [toRaw(row), ...clientRows]
+        }
+      }
+      invalidate()
+    }
+    else {
+      Object.assign(row, values)
+      if (!isNew) {
+        updatedRows.set(key, row)
+      }
+    }
+    pendingNewRows.delete(toRaw(row))
+    endEdit(key)
+    return true
+  }
+
+  /**
+   * 取消编辑行
+   * @description 丢弃草稿，未保存过的新增行会被移除
+   * @param {object} row - 行数据
+   * @returns {void}
+   */
+  const cancelEdit = (row) => {
+    const key = getEditKey(row)
+    endEdit(key)
+    if (addedRows.has(key) && pendingNewRows.has(toRaw(row))) {
+      addedRows.delete(key)
+      removeFromData(key)
+    }
+  }
+
+  /**
+   * 新增行并开始编辑
+   * @description 新增的行显示在第一页顶部，保存后配置了 edit.save 时提交到后端，否则记录为本地变更
+   * @param {object} [row] - 行数据，与 edit.createRow 返回的默认数据合并
+   * @returns {object} 新增的行
+   */
+  const addRow = (row = {}) => {
+    const newRow = reactive({ ...(typeof editConfig.createRow === 'function' ? editConfig.createRow() : {}), ...row })
+    const key = `__new_${++newRowSeed}`
+    newRowKeys.set(toRaw(newRow), key)
+    pendingNewRows.add(toRaw(newRow))
+    addedRows.set(key, newRow)
+    state.data = [newRow, ...state.data]
+    startEdit(newRow)
+    return newRow
+  }
+
+  /**
+   * 删除行
+   * @description 配置 edit.remove 时调用其删除后端数据并清空缓存，否则记录为本地变更；新增且未提交的行直接移除
+   * @param {object} row - 行数据
+   * @returns {Promise<void>}
+   */
+  const deleteRow = async (row) => {
+    const key = getEditKey(row)
+    if (addedRows.has(key)) {
+      addedRows.delete(key)
+    }
+    else if (typeof editConfig.remove === 'function') {
+      await editConfig.remove(row)
+      if (isClientMode) {
+        clientRows = clientRows.filter(item => toRaw(item) !== toRaw(row))
+      }
+      invalidate()
+    }
+    else {
+      updatedRows.delete(key)
+      deletedRows.set(key, row)
+    }
+    endEdit(key)
+    selectedMap.delete(getRowKey(row))
+    removeFromData(key)
+  }
+
+  /**
+   * 行是否有未提交的本地变更
+   * @param {object} row - 行数据
+   * @returns {boolean} 是否有未提交的本地变更
+   */
+  const isDirty = (row) => {
+    const key = getEditKey(row)
+    return addedRows.has(key) || updatedRows.has(key)
+  }
+
+  // 清空本地变更和编辑状态
+  const clearChanges = () => {
+    addedRows.clear()
+    updatedRows.clear()
+    deletedRows.clear()
+    drafts.clear()
+    Object.keys(editErrors).forEach(key => delete editErrors[key])
+  }
+
+  /**
+   * 批量提交本地变更
+   * @description 调用 edit.submit 提交新增、修改和删除的行，成功后清空本地变更和缓存并重新获取数据；编辑中未保存的草稿不会提交
+   * @returns {Promise<boolean>} 是否有变更被提交
+   */
+  const submitChanges = async () => {
+    if (!addedRows.size && !updatedRows.size && !deletedRows.size) {
+      return false
+    }
+    if (typeof editConfig.submit !== 'function') {
+      throw new TypeError('submitChanges: edit.submit must be a function')
+    }
+    const toValues = rows => [...rows.values()].map(row => cloneDeep(toRaw(row)))
+    await editConfig.submit({
+      added: toValues(addedRows),
+      updated: toValues(updatedRows),
+      deleted: toValues(deletedRows),
+    })
+    clearChanges()
+    invalidate()
+    await fetchData()
+    return true
+  }
+
+  /**
+   * 放弃本地变更
+   * @description 清空本地变更和编辑状态，并重新获取数据
+   * @returns {Promise<void>}
+   */
+  const discardChanges = async () => {
+    clearChanges()
+    await fetchData()
   }
 
   /**
    * 重置方法
-   * @description 重置分页参数到初始状态并重新获取数据
+   * @description 重置分页参数到初始状态，清空缓存并重新获取数据
    * @returns {void}
    */
   const reset = () => {
+    invalidate()
     if (pagination) {
       pagination.pageNum = 1
       pagination.pageSize = config.pagination.pageSize
     }
-    fetchData()
+    loadPage()
+  }
+
+  // 初始化时从地址栏恢复状态，浏览器前进后退时重新恢复并获取数据
+  if (urlConfig) {
+    lastQuery = route.query
+    applyQuery(route.query)
+    watch(() => route.query, (query) => {
+      if (route.path !== routePath || isEqual(query, lastQuery)) {
+        return
+      }
+      lastQuery = query
+      applyQuery(query)
+      loadPage()
+    })
+  }
+
+  // 查询参数变化时防抖后回到第一页重新查询，参数与最近一次查询相同时不重复查询
+  const autoSearch = options.autoSearch && options.searchParams
+    ? debounce(() => {
+        if (isEqual(options.searchParams.value, lastSearchParams)) {
+          return
+        }
+        if (pagination) {
+          pagination.pageNum = 1
+        }
+        loadPage()
+      }, typeof options.autoSearch === 'number' ? options.autoSearch : 300)
+    : null
+  if (autoSearch) {
+    watch(() => options.searchParams.value, autoSearch, { deep: true })
+  }
+
+  // 组件卸载时取消未完成的请求和自动查询
+  if (getCurrentScope()) {
+    onScopeDispose(() => {
+      autoSearch?.cancel()
+      cancel()
+      cancelExport()
+      prefetchController.abort()
+      selectAllController?.abort()
+    })
   }
 
   // 自动加载
@@ -220,9 +1402,39 @@ const useTable = (
     ...toRefs(state),
     pagination,
     fetchData,
+    cancel,
+    loadMore,
     handlePageChange,
     handleSizeChange,
+    handleSortChange,
+    handleFilterChange,
+    buildParams,
+    searchParams: options.searchParams,
+    initialSearchParams,
     reset,
+    invalidate,
+    selectedRows: computed(() => [...selectedMap.values()]),
+    selectedKeys: computed(() => [...selectedMap.keys()]),
+    toggleRow,
+    selectAllMatching,
+    clearSelection,
+    handleSelect,
+    handleSelectAll,
+    exportData,
+    cancelExport,
+    startEdit,
+    getDraft,
+    isEditing,
+    validateRow,
+    getCellError,
+    saveRow,
+    cancelEdit,
+    addRow,
+    deleteRow,
+    isDirty,
+    hasChanges: computed(() => addedRows.size + updatedRows.size + deletedRows.size > 0),
+    submitChanges,
+    discardChanges,
   }
 }
 